@@ -1,4 +1,5 @@
 var co = require('co');
+var stream = require('stream');
 var Schema = require('chaos-database').Schema;
 var PostgreSql = require('../../src');
 var Dialect = require('sql-dialect').Dialect;
@@ -38,6 +39,7 @@ describe("PostgreSql", function() {
       var dialect = this.connection.dialect();
 
       expect(dialect.quote('tablename')).toBe("'tablename'");
+      expect(dialect.quote("it's a \\ backslash")).toBe("'it''s a \\ backslash'");
 
       expect(dialect.value('string_value', {
         name: 'string_field',
@@ -86,7 +88,9 @@ describe("PostgreSql", function() {
       connection.connect().then(function() {
         expect(false).toBe(true);
       }).catch(function(err) {
-        expect(err.message).toMatch(/Unable to connect to host/);
+        expect(err).toBeAnInstanceOf(PostgreSql.ConnectionError);
+        expect(err.message).toMatch(/Unable to connect to host `hostlocal:5432`/);
+        expect(err.cause.code).toBe('ENOTFOUND');
         done();
       });
 
@@ -103,6 +107,92 @@ describe("PostgreSql", function() {
 
     });
 
+    it("connects through a URL", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({ url: 'postgres://postgres@localhost:5432/chaos_test' });
+        var cursor = yield connection.query('SELECT current_database() AS name');
+        expect(cursor.next().name).toBe('chaos_test');
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("doesn't choke on special characters in credentials", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          password: 'p@ss:w/rd'
+        });
+        yield connection.connect();
+        expect(connection.connected()).toBe(true);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("passes the client options and the search path", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          searchPath: ['my schema', 'public'],
+          options: { application_name: 'chaos', statement_timeout: 5000 }
+        });
+        var cursor = yield connection.query([
+          "SELECT current_setting('application_name') AS application,",
+          "current_setting('statement_timeout') AS timeout, current_setting('search_path') AS path"
+        ].join(' '));
+        expect(cursor.next()).toEqual({
+          application: 'chaos',
+          timeout: '5s',
+          path: '"my schema","public"'
+        });
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("passes the SSL settings", function() {
+
+      var ssl = { ca: 'CA', cert: 'CERT', key: 'KEY', rejectUnauthorized: false };
+      var connection = new PostgreSql({
+        host: 'localhost',
+        database: 'chaos_test',
+        username: 'postgres',
+        ssl: ssl
+      });
+      var config = connection._clientConfig();
+      expect(config.ssl).toEqual(ssl);
+      expect(config.host).toBe('localhost');
+      expect(config.connectionString).toBe(undefined);
+
+      connection = new PostgreSql({
+        url: 'postgres://postgres@localhost/chaos_test',
+        ssl: true
+      });
+      config = connection._clientConfig();
+      expect(config.ssl).toBe(true);
+      expect(config.connectionString).toBe('postgres://postgres@localhost/chaos_test');
+      expect(config.host).toBe(undefined);
+
+      connection = new PostgreSql({
+        database: 'chaos_test',
+        username: 'postgres'
+      });
+      expect(connection._clientConfig().ssl).toBe(undefined);
+
+    });
+
     it("returns the same connection when called multiple times.", function(done) {
 
       co(function*() {
@@ -121,6 +211,81 @@ describe("PostgreSql", function() {
 
   });
 
+  describe(".pool()", function() {
+
+    it("returns `undefined` when pooling is not enabled.", function(done) {
+
+      co(function*() {
+        yield this.connection.connect();
+        expect(this.connection.pool()).toBe(undefined);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("returns the connected pool.", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 2 }
+        });
+        expect(connection.pool()).toBe(undefined);
+        var pool = yield connection.connect();
+        expect(connection.pool()).toBe(pool);
+        expect(connection.client()).toBe(undefined);
+        expect(connection.connected()).toBe(true);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("runs concurrent queries on distinct pooled clients.", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 2 }
+        });
+        var cursors = yield Promise.all([
+          connection.query("SELECT pg_backend_pid() AS pid, pg_sleep(0.1)"),
+          connection.query("SELECT pg_backend_pid() AS pid, pg_sleep(0.1)")
+        ]);
+        expect(cursors[0].next().pid).not.toBe(cursors[1].next().pid);
+        expect(connection.pool().idleCount).toBe(2);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("fails when it can't connect", function(done) {
+
+      var connection = new PostgreSql({
+        host: 'hostlocal',
+        database: 'chaos_test',
+        username: 'root',
+        password: 'root',
+        pool: true
+      });
+      connection.connect().then(function() {
+        expect(false).toBe(true);
+      }).catch(function(err) {
+        expect(err.message).toMatch(/Unable to connect to host/);
+        expect(connection.pool()).toBe(undefined);
+        done();
+      });
+
+    });
+
+  });
+
   describe(".client()", function() {
 
     it("returns the connected client.", function(done) {
@@ -216,136 +381,2097 @@ describe("PostgreSql", function() {
 
     });
 
-  });
+    it("binds parameters", function(done) {
 
-  describe(".execute()", function() {
+      co(function*() {
+        var response = yield this.connection.query("SELECT $1::int + $2::int as sum, $3::text as name", [1, 2, "O'Reilly"]);
+        var row = response.next();
+        expect(row.sum).toBe(3);
+        expect(row.name).toBe("O'Reilly");
+        done();
+      }.bind(this));
 
-    it("executes raw queries", function(done) {
+    });
+
+    it("rejects the promise when parameters can't be bound.", function(done) {
 
       co(function*() {
-        var schema = new Schema({ connection: this.connection });
-        schema.source('gallery');
-        schema.column('id', { type: 'serial' });
-        schema.column('name', { type: 'string' });
-        yield schema.create();
+        var response = yield this.connection.query("SELECT $1::int as value", [{
+          toPostgres: function() {
+            throw new TypeError('Invalid value');
+          }
+        }]);
+      }.bind(this)).then(function() {
+        expect(false).toBe(true);
+      }).catch(function(err) {
+        expect(err.message).toMatch(/Invalid value/);
+        done();
+      });
 
-        yield this.connection.openTransaction();
+    });
 
-        yield schema.insert({ name: 'new gallery' });
-        var id = schema.lastInsertId();
-        var cursor = yield this.connection.query('SELECT "name" FROM "gallery" WHERE "id" = ' + id);
-        var gallery = cursor.next();
-        expect(gallery.name).toBe('new gallery');
+    it("rejects the promise when parameters are not an array.", function(done) {
 
-        yield this.connection.execute("ROLLBACK");
+      co(function*() {
+        var response = yield this.connection.query("SELECT $1::int as value", { value: 1 });
+      }.bind(this)).then(function() {
+        expect(false).toBe(true);
+      }).catch(function(err) {
+        expect(err.message).toMatch(/Query values must be an array/);
+        done();
+      });
 
-        cursor = yield this.connection.query('SELECT "name" FROM "gallery" WHERE "id" = ' + id);
-        expect(cursor.next()).toBe(undefined);
+    });
 
-        yield schema.drop();
+    it("rejects the promise when a parameter doesn't match its type.", function(done) {
+
+      co(function*() {
+        var response = yield this.connection.query("SELECT $1::int as value", ['abc']);
+      }.bind(this)).then(function() {
+        expect(false).toBe(true);
+      }).catch(function(err) {
+        expect(err.message).toMatch(/invalid input syntax for type integer/);
         done();
-      }.bind(this));
+      });
+
     });
 
-  });
+    it("cancels the query when the timeout expires", function(done) {
 
-  describe(".sources()", function() {
+      co(function*() {
+        var start = Date.now();
+        try {
+          yield this.connection.query("SELECT pg_sleep(5)", [], { timeout: 50 });
+          expect(false).toBe(true);
+        } catch (err) {
+          expect(err).toBeAnInstanceOf(PostgreSql.QueryTimeoutError);
+          expect(err.message).toBe('Query timeout of `50`ms exceeded.');
+        }
+        expect(Date.now() - start).toBeLessThan(2000);
 
-    it("shows sources", function(done) {
+        var cursor = yield this.connection.query("SELECT 1 AS value");
+        expect(cursor.next().value).toBe(1);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("cancels the query when the signal is aborted", function(done) {
 
       co(function*() {
-        var schema = new Schema({ connection: this.connection });
-        schema.source('gallery');
-        schema.column('id', { type: 'serial' });
-        yield schema.create();
+        var controller = new AbortController();
+        setTimeout(function() {
+          controller.abort();
+        }, 50);
+        try {
+          yield this.connection.execute("SELECT pg_sleep(5)", [], { signal: controller.signal });
+          expect(false).toBe(true);
+        } catch (err) {
+          expect(err).toBeAnInstanceOf(PostgreSql.QueryCanceledError);
+          expect(err).not.toBeAnInstanceOf(PostgreSql.QueryTimeoutError);
+        }
+      }.bind(this)).then(function() {
+        done();
+      });
 
-        var sources = yield this.connection.sources();
+    });
 
-        expect(sources).toEqual({
-          gallery: 'gallery'
-        });
+    it("cancels queued queries without affecting the running one", function(done) {
 
-        yield schema.drop();
+      co(function*() {
+        var controller = new AbortController();
+        var running = this.connection.query("SELECT pg_sleep(0.2), 1 AS value");
+        var queued = this.connection.query("SELECT 2 AS value", [], { signal: controller.signal });
+        controller.abort();
+
+        try {
+          yield queued;
+          expect(false).toBe(true);
+        } catch (err) {
+          expect(err).toBeAnInstanceOf(PostgreSql.QueryCanceledError);
+        }
+        expect((yield running).next().value).toBe(1);
       }.bind(this)).then(function() {
         done();
       });
+
     });
 
-  });
+    it("rejects without sending the query when the signal is already aborted", function(done) {
 
-  describe(".describe()", function() {
+      var controller = new AbortController();
+      controller.abort();
+      this.connection.query("SELECT 1", [], { signal: controller.signal }).catch(function(err) {
+        expect(err).toBeAnInstanceOf(PostgreSql.QueryCanceledError);
+        done();
+      });
 
-    beforeEach(function() {
+    });
 
-      this.schema = new Schema();
-      this.schema.source('gallery');
-      this.schema.column('id', { type: 'serial' });
-      this.schema.column('name', {
-        type: 'string',
-        length: 128,
-        default: 'Johnny Boy'
-      });
-      this.schema.column('active', {
-        type: 'boolean',
-        default: true
-      });
-      this.schema.column('inactive', {
-        type: 'boolean',
-        default: false
-      });
-      this.schema.column('money', {
-        type: 'decimal',
-        length: 10,
-        precision: 2
-      });
-      this.schema.column('created', {
-        type: 'datetime',
-        use: 'timestamp',
-        default: { ':plain': 'CURRENT_TIMESTAMP' }
+    it("doesn't cancel the next query when the timeout expires as the query completes", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 1 }
+        });
+        var errors = [];
+        for (var i = 0; i < 40; i++) {
+          try {
+            yield connection.query("SELECT pg_sleep(0.01)", [], { timeout: 5 + i % 12 });
+          } catch (err) {
+            expect(err).toBeAnInstanceOf(PostgreSql.QueryTimeoutError);
+          }
+          try {
+            yield connection.query("SELECT pg_sleep(0.01)");
+          } catch (err) {
+            errors.push(err);
+          }
+        }
+        expect(errors).toEqual([]);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
       });
 
     });
 
-    it("describe a source", function(done) {
+    it("rejects cancelable queries when the `pg` client internals are not available", function(done) {
 
       co(function*() {
-        this.schema.connection(this.connection);
-        yield this.schema.create();
+        var connection = getConnection();
+        yield connection.connect();
+        var client = connection.client();
+        // Cancellation relies on these `pg` internals, an upgrade removing them must be caught here.
+        expect(Array.isArray(client._queryQueue)).toBe(true);
+        expect(client.secretKey).not.toBe(undefined);
+
+        var secretKey = client.secretKey;
+        client.secretKey = undefined;
+        try {
+          yield connection.query("SELECT 1", [], { timeout: 50 });
+          expect(false).toBe(true);
+        } catch (err) {
+          expect(err.message).toBe('Query cancellation is not supported by the installed `pg` version.');
+        }
+        client.secretKey = secretKey;
+        var cursor = yield connection.query("SELECT 1 AS value", [], { timeout: 50 });
+        expect(cursor.next().value).toBe(1);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
 
-        var gallery = yield this.connection.describe('gallery');
+    });
 
-        expect(gallery.column('id')).toEqual({
-          use: 'integer',
-          type: 'integer',
-          null: false,
-          default: null,
-          array: false
-        });
+    it("applies the default statement timeout", function(done) {
 
-        expect(gallery.column('name')).toEqual({
-          use: 'character varying',
-          type: 'string',
-          length: 128,
-          null: false,
-          default: 'Johnny Boy',
-          array: false
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          statementTimeout: 50
         });
+        try {
+          yield connection.query("SELECT pg_sleep(5)");
+          expect(false).toBe(true);
+        } catch (err) {
+          expect(err).toBeAnInstanceOf(PostgreSql.QueryTimeoutError);
+          expect(err.code).toBe('57014');
+        }
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
 
-        expect(gallery.column('active')).toEqual({
-          use: 'boolean',
-          type: 'boolean',
-          null: false,
-          default: true,
-          array: false
-        });
+    });
 
-        expect(gallery.column('inactive')).toEqual({
-          use: 'boolean',
-          type: 'boolean',
-          null: false,
-          default: false,
-          array: false
-        });
+  });
+
+  describe(".prepared()", function() {
+
+    it("prepares named statements once per connection", function(done) {
+
+      co(function*() {
+        var connection = getConnection();
+        var cursor = yield connection.query("SELECT $1::int + 1 AS value", [1], { name: 'increment' });
+        expect(cursor.next().value).toBe(2);
+        cursor = yield connection.query("SELECT $1::int + 1 AS value", [5], { name: 'increment' });
+        expect(cursor.next().value).toBe(6);
+
+        cursor = yield connection.query("SELECT name, pg_backend_pid() AS pid FROM pg_prepared_statements");
+        var row = cursor.next();
+        expect(row.name).toBe('increment');
+
+        var expected = {};
+        expected[row.pid] = ['increment'];
+        expect(connection.prepared()).toEqual(expected);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("names statements after their SQL with the `'prepare'` option", function(done) {
+
+      co(function*() {
+        var connection = getConnection();
+        yield connection.query("SELECT $1::int AS value", [1], { prepare: true });
+        yield connection.query("SELECT $1::int AS value", [2], { prepare: true });
+
+        var cursor = yield connection.query("SELECT count(*)::int AS count FROM pg_prepared_statements");
+        expect(cursor.next().count).toBe(1);
+
+        var prepared = connection.prepared();
+        var names = prepared[Object.keys(prepared)[0]];
+        expect(names.length).toBe(1);
+        expect(names[0]).toMatch(/^chaos_[0-9a-f]{16}$/);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("tracks the statements of each pooled connection", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 2 }
+        });
+        yield Promise.all([
+          connection.query("SELECT pg_sleep(0.05), 1 AS value", [], { name: 'one' }),
+          connection.query("SELECT pg_sleep(0.05), 2 AS value", [], { name: 'two' })
+        ]);
+        var prepared = connection.prepared();
+        expect(Object.keys(prepared).length).toBe(2);
+        expect([].concat.apply([], Object.keys(prepared).map(function(id) {
+          return prepared[id];
+        })).sort()).toEqual(['one', 'two']);
+        connection.disconnect();
+        expect(connection.prepared()).toEqual({});
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("rejects a name reused for a different statement", function(done) {
+
+      co(function*() {
+        var connection = getConnection();
+        yield connection.query("SELECT 1 AS value", [], { name: 'value' });
+        try {
+          yield connection.query("SELECT 2 AS value", [], { name: 'value' });
+          expect(false).toBe(true);
+        } catch (err) {
+          expect(err.message).toMatch(/Prepared statements must be unique/);
+        }
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+  });
+
+  describe("instrumentation", function() {
+
+    afterEach(function() {
+      this.connection.off('query:start');
+      this.connection.off('query:end');
+      this.connection.off('query:error');
+    });
+
+    it("emits `'query:start'` and `'query:end'` events", function(done) {
+
+      co(function*() {
+        var events = [];
+        this.connection.on('query:start', function(event) {
+          events.push(['start', event]);
+        });
+        this.connection.on('query:end', function(event) {
+          events.push(['end', event]);
+        });
+
+        yield this.connection.query("SELECT generate_series(1, $1::int) AS value", [3]);
+        var pid = (yield this.connection.query("SELECT pg_backend_pid() AS pid")).next().pid;
+
+        expect(events.length).toBe(4);
+        var start = events[0][1];
+        var end = events[1][1];
+
+        expect(events[0][0]).toBe('start');
+        expect(start.sql).toBe("SELECT generate_series(1, $1::int) AS value");
+        expect(start.params).toEqual([3]);
+        expect(start.connection).toBe(pid);
+
+        expect(events[1][0]).toBe('end');
+        expect(end.id).toBe(start.id);
+        expect(end.rowCount).toBe(3);
+        expect(end.duration).toBeGreaterThan(0);
+
+        expect(events[2][1].id).not.toBe(start.id);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("emits `'query:error'` events", function(done) {
+
+      co(function*() {
+        var events = [];
+        this.connection.on('query:error', function(event) {
+          events.push(event);
+        });
+
+        try {
+          yield this.connection.execute("SELECT * FROM unexisting");
+          expect(false).toBe(true);
+        } catch (err) {
+          expect(events.length).toBe(1);
+          expect(events[0].sql).toBe("SELECT * FROM unexisting");
+          expect(events[0].error).toBe(err);
+          expect(events[0].duration).toBeGreaterThan(0);
+        }
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+  });
+
+  describe("errors", function() {
+
+    beforeEach(function(done) {
+
+      co(function*() {
+        yield this.connection.execute('CREATE TABLE "author" ("id" serial PRIMARY KEY, "email" varchar(255) NOT NULL UNIQUE, "age" integer CHECK ("age" > 0))');
+        yield this.connection.execute('CREATE TABLE "book" ("id" serial PRIMARY KEY, "author_id" integer REFERENCES "author" ("id"))');
+        yield this.connection.execute('INSERT INTO "author" ("email", "age") VALUES ($1, $2)', ['bob@example.com', 30]);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    afterEach(function(done) {
+
+      this.connection.execute('DROP TABLE "book", "author"').then(function() {
+        done();
+      });
+
+    });
+
+    var failure = function(promise) {
+      return promise.then(function() {
+        throw new Error('The promise should have been rejected.');
+      }, function(err) {
+        return err;
+      });
+    };
+
+    it("maps unique violations", function(done) {
+
+      co(function*() {
+        var err = yield failure(this.connection.execute('INSERT INTO "author" ("email") VALUES ($1)', ['bob@example.com']));
+        expect(err).toBeAnInstanceOf(PostgreSql.UniqueViolationError);
+        expect(err).toBeAnInstanceOf(PostgreSql.IntegrityConstraintError);
+        expect(err).toBeAnInstanceOf(PostgreSql.DatabaseError);
+        expect(err.name).toBe('UniqueViolationError');
+        expect(err.code).toBe('23505');
+        expect(err.table).toBe('author');
+        expect(err.constraint).toBe('author_email_key');
+        expect(err.detail).toBe('Key (email)=(bob@example.com) already exists.');
+        expect(err.cause).toBeAnInstanceOf(Error);
+        done();
+      }.bind(this));
+
+    });
+
+    it("maps foreign key violations", function(done) {
+
+      co(function*() {
+        var err = yield failure(this.connection.query('INSERT INTO "book" ("author_id") VALUES ($1)', [404]));
+        expect(err).toBeAnInstanceOf(PostgreSql.ForeignKeyViolationError);
+        expect(err.code).toBe('23503');
+        expect(err.table).toBe('book');
+        expect(err.constraint).toBe('book_author_id_fkey');
+        done();
+      }.bind(this));
+
+    });
+
+    it("maps not null violations", function(done) {
+
+      co(function*() {
+        var err = yield failure(this.connection.execute('INSERT INTO "author" ("email") VALUES (NULL)'));
+        expect(err).toBeAnInstanceOf(PostgreSql.NotNullViolationError);
+        expect(err.code).toBe('23502');
+        expect(err.table).toBe('author');
+        expect(err.column).toBe('email');
+        done();
+      }.bind(this));
+
+    });
+
+    it("maps check violations", function(done) {
+
+      co(function*() {
+        var err = yield failure(this.connection.execute('INSERT INTO "author" ("email", "age") VALUES ($1, $2)', ['alice@example.com', -1]));
+        expect(err).toBeAnInstanceOf(PostgreSql.CheckViolationError);
+        expect(err.code).toBe('23514');
+        expect(err.constraint).toBe('author_age_check');
+        done();
+      }.bind(this));
+
+    });
+
+    it("maps query timeouts", function(done) {
+
+      co(function*() {
+        var err = yield failure(this.connection.transaction(function*(tx) {
+          yield tx.execute("SET LOCAL statement_timeout = 10");
+          yield tx.execute("SELECT pg_sleep(1)");
+        }));
+        expect(err).toBeAnInstanceOf(PostgreSql.QueryTimeoutError);
+        expect(err).toBeAnInstanceOf(PostgreSql.QueryCanceledError);
+        expect(err.code).toBe('57014');
+        done();
+      }.bind(this));
+
+    });
+
+    it("maps syntax errors and undefined tables", function(done) {
+
+      co(function*() {
+        var err = yield failure(this.connection.query('SELECT * FROM'));
+        expect(err).toBeAnInstanceOf(PostgreSql.QuerySyntaxError);
+        expect(err.code).toBe('42601');
+
+        err = yield failure(this.connection.query('SELECT * FROM "unexisting"'));
+        expect(err).toBeAnInstanceOf(PostgreSql.UndefinedTableError);
+        expect(err.code).toBe('42P01');
+        done();
+      }.bind(this));
+
+    });
+
+    it("maps serialization failures", function() {
+
+      var err = PostgreSql.DatabaseError.from({
+        code: '40001',
+        message: 'could not serialize access due to concurrent update'
+      });
+      expect(err).toBeAnInstanceOf(PostgreSql.SerializationError);
+      expect(err).toBeAnInstanceOf(PostgreSql.TransactionRollbackError);
+      expect(PostgreSql.isRetryableException(err)).toBe(true);
+
+    });
+
+  });
+
+  describe(".stream()", function() {
+
+    var collect = function(stream) {
+      return new Promise(function(accept, reject) {
+        var rows = [];
+        stream.on('data', function(row) {
+          rows.push(row);
+        });
+        stream.on('end', function() {
+          accept(rows);
+        });
+        stream.on('error', reject);
+      });
+    };
+
+    it("streams rows by batches", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 2 }
+        });
+        var stream = connection.stream('SELECT g AS value FROM generate_series(1, $1::int) g', [10], { batchSize: 3 });
+        var rows = yield collect(stream);
+        expect(rows.length).toBe(10);
+        expect(rows[0]).toEqual({ value: 1 });
+        expect(rows[9]).toEqual({ value: 10 });
+
+        var cursor = yield connection.query('SELECT count(*)::int AS count FROM pg_cursors');
+        expect(cursor.next().count).toBe(0);
+        expect(connection.pool().totalCount).toBe(connection.pool().idleCount);
+        connection.disconnect();
+        done();
+      }.bind(this));
+
+    });
+
+    it("doesn't interfere with queries sent while streaming in single client mode", function(done) {
+
+      co(function*() {
+        var connection = getConnection();
+        yield connection.execute('CREATE TABLE "visit" ("value" integer)');
+
+        var stream = connection.stream('SELECT g AS value FROM generate_series(1, 20) g', [], { batchSize: 3 });
+        yield new Promise(function(accept, reject) {
+          var count = 0;
+          stream.on('data', function(row) {
+            stream.pause();
+            connection.query('INSERT INTO "visit" ("value") VALUES ($1)', [row.value]).then(function() {
+              if (++count < 5) {
+                return stream.resume();
+              }
+              stream.destroy();
+              accept();
+            }, reject);
+          });
+          stream.on('error', reject);
+        });
+
+        stream = connection.stream('SELECT g AS value FROM generate_series(1, 4) g', [], { batchSize: 2 });
+        var values = [];
+        yield new Promise(function(accept, reject) {
+          stream.on('data', function(row) {
+            values.push(row.value);
+            if (row.value === 1) {
+              stream.pause();
+              connection.transaction(function*(tx) {
+                yield tx.query('INSERT INTO "visit" ("value") VALUES ($1)', [100]);
+              }).then(function() {
+                stream.resume();
+              }, reject);
+            }
+          });
+          stream.on('end', accept);
+          stream.on('error', reject);
+        });
+        expect(values).toEqual([1, 2, 3, 4]);
+
+        var cursor = yield connection.query('SELECT count(*)::int AS count FROM "visit"');
+        expect(cursor.next().count).toBe(6);
+
+        yield connection.execute('DROP TABLE "visit"');
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("releases the client when destroyed while opening", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 1 }
+        });
+        var stream = connection.stream('SELECT g AS value FROM generate_series(1, 1000) g');
+        stream.read();
+        yield new Promise(function(accept) {
+          stream.on('close', accept);
+          stream.destroy();
+        });
+        var cursor = yield connection.query('SELECT 1 AS value');
+        expect(cursor.next().value).toBe(1);
+        cursor = yield connection.query("SELECT count(*)::int AS count FROM pg_cursors");
+        expect(cursor.next().count).toBe(0);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("streams an empty result set", function(done) {
+
+      co(function*() {
+        var rows = yield collect(this.connection.stream('SELECT 1 WHERE FALSE'));
+        expect(rows).toEqual([]);
+        done();
+      }.bind(this));
+
+    });
+
+    it("supports async iteration and closes the cursor on early termination", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 1 }
+        });
+        var stream = connection.stream('SELECT g AS value FROM generate_series(1, 1000) g', [], { batchSize: 10 });
+        var iterator = stream[Symbol.asyncIterator]();
+        var first = yield iterator.next();
+        expect(first.value).toEqual({ value: 1 });
+        var second = yield iterator.next();
+        expect(second.value).toEqual({ value: 2 });
+        yield iterator.return();
+
+        var cursor = yield connection.query('SELECT count(*)::int AS count FROM pg_cursors');
+        expect(cursor.next().count).toBe(0);
+        connection.disconnect();
+        done();
+      }.bind(this));
+
+    });
+
+    it("streams inside a transaction scope", function(done) {
+
+      co(function*() {
+        var rows = yield this.connection.transaction(function(tx) {
+          return collect(tx.stream('SELECT g AS value FROM generate_series(1, 5) g', [], { batchSize: 2 }));
+        });
+        expect(rows.length).toBe(5);
+        done();
+      }.bind(this));
+
+    });
+
+    it("emits errors", function(done) {
+
+      var stream = this.connection.stream('SELECT * FROM "unexisting"');
+      collect(stream).then(function() {
+        expect(false).toBe(true);
+      }).catch(function(err) {
+        expect(err).toBeAnInstanceOf(PostgreSql.UndefinedTableError);
+        this.connection.query('SELECT 1 AS value').then(function(cursor) {
+          expect(cursor.next().value).toBe(1);
+          done();
+        });
+      }.bind(this));
+
+    });
+
+  });
+
+  describe(".copyFrom()", function() {
+
+    beforeEach(function(done) {
+
+      this.schema = new Schema({ connection: this.connection });
+      this.schema.source('gallery');
+      this.schema.column('id', { type: 'serial' });
+      this.schema.column('name', { type: 'string', null: true });
+      this.schema.column('active', { type: 'boolean', null: true });
+      this.schema.column('created', { type: 'datetime', null: true });
+      this.schema.create().then(function() {
+        done();
+      });
+
+    });
+
+    afterEach(function(done) {
+
+      this.schema.drop().then(function() {
+        done();
+      });
+
+    });
+
+    it("copies rows from an iterable", function(done) {
+
+      co(function*() {
+        var count = yield this.connection.copyFrom('gallery', ['name', 'active', 'created'], [
+          ['first', true, new Date('2014-11-21T10:20:45.000Z')],
+          { name: "it's\ta \"quoted\"\nvalue\\", active: false, created: null },
+          [null, null, '2014-11-21 10:20:45']
+        ], { schema: this.schema });
+        expect(count).toBe(3);
+
+        var cursor = yield this.connection.query('SELECT "name", "active", "created" FROM "gallery" ORDER BY "id"');
+        var row = cursor.next();
+        expect(row.name).toBe('first');
+        expect(row.active).toBe(true);
+        expect(row.created).toBeAnInstanceOf(Date);
+        row = cursor.next();
+        expect(row.name).toBe("it's\ta \"quoted\"\nvalue\\");
+        expect(row.active).toBe(false);
+        expect(row.created).toBe(null);
+        row = cursor.next();
+        expect(row.name).toBe(null);
+        expect(row.active).toBe(null);
+        done();
+      }.bind(this));
+
+    });
+
+    it("copies rows from a stream using the CSV format", function(done) {
+
+      co(function*() {
+        var source = new stream.PassThrough({ objectMode: true });
+        source.write(['a,b', true]);
+        source.write(['', false]);
+        source.end(['c"d', null]);
+
+        var count = yield this.connection.copyFrom('gallery', ['name', 'active'], source, { format: 'csv' });
+        expect(count).toBe(3);
+
+        var cursor = yield this.connection.query('SELECT "name", "active" FROM "gallery" ORDER BY "id"');
+        expect(cursor.next()).toEqual({ name: 'a,b', active: true });
+        expect(cursor.next()).toEqual({ name: '', active: false });
+        expect(cursor.next()).toEqual({ name: 'c"d', active: null });
+        done();
+      }.bind(this));
+
+    });
+
+    it("copies raw data", function(done) {
+
+      co(function*() {
+        var count = yield this.connection.copyFrom('gallery', ['name'], stream.Readable.from(['a\n', Buffer.from('b\n')]));
+        expect(count).toBe(2);
+        done();
+      }.bind(this));
+
+    });
+
+    it("rejects on invalid data", function(done) {
+
+      co(function*() {
+        var err;
+        try {
+          yield this.connection.copyFrom('gallery', ['active'], [['not a boolean']]);
+        } catch (e) {
+          err = e;
+        }
+        expect(err).toBeAnInstanceOf(PostgreSql.DataError);
+        expect(err.code).toBe('22P02');
+
+        var cursor = yield this.connection.query('SELECT count(*)::int AS count FROM "gallery"');
+        expect(cursor.next().count).toBe(0);
+        done();
+      }.bind(this));
+
+    });
+
+    it("rejects invalid formats", function(done) {
+
+      this.connection.copyFrom('gallery', ['name'], [], { format: 'xml' }).catch(function(err) {
+        expect(err.message).toBe("Invalid COPY format `'xml'`.");
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".copyTo()", function() {
+
+    var read = function(readable) {
+      return new Promise(function(accept, reject) {
+        var chunks = [];
+        readable.on('data', function(chunk) {
+          chunks.push(chunk);
+        });
+        readable.on('end', function() {
+          accept(Buffer.concat(chunks).toString());
+        });
+        readable.on('error', reject);
+      });
+    };
+
+    beforeEach(function(done) {
+
+      this.schema = new Schema({ connection: this.connection });
+      this.schema.source('gallery');
+      this.schema.column('id', { type: 'serial' });
+      this.schema.column('name', { type: 'string', null: true });
+      co(function*() {
+        yield this.schema.create();
+        yield this.connection.copyFrom('gallery', ['name'], [['a'], ['b,c'], [null]]);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    afterEach(function(done) {
+
+      this.schema.drop().then(function() {
+        done();
+      });
+
+    });
+
+    it("exports a table", function(done) {
+
+      co(function*() {
+        var data = yield read(this.connection.copyTo('gallery', { columns: ['name'] }));
+        expect(data).toBe('a\nb,c\n\\N\n');
+        done();
+      }.bind(this));
+
+    });
+
+    it("exports a query using the CSV format", function(done) {
+
+      co(function*() {
+        var data = yield read(this.connection.copyTo('SELECT "id", "name" FROM "gallery" ORDER BY "id"', {
+          format: 'csv',
+          header: true
+        }));
+        expect(data).toBe('id,name\n1,a\n2,"b,c"\n3,\n');
+        done();
+      }.bind(this));
+
+    });
+
+    it("exports a select statement", function(done) {
+
+      co(function*() {
+        var select = this.connection.dialect().statement('select');
+        select.fields('name').from('gallery').where({ id: 1 });
+        var data = yield read(this.connection.copyTo(select));
+        expect(data).toBe('a\n');
+        done();
+      }.bind(this));
+
+    });
+
+    it("keeps the connection usable when the stream is destroyed mid-copy in single client mode", function(done) {
+
+      co(function*() {
+        var connection = getConnection();
+        yield connection.connect();
+        var output = connection.copyTo('SELECT g FROM generate_series(1, 100000) g');
+        yield new Promise(function(accept) {
+          output.once('data', function() {
+            output.destroy();
+          });
+          output.on('close', accept);
+        });
+        var cursor = yield connection.query('SELECT 1 AS value');
+        expect(cursor.next().value).toBe(1);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("emits errors", function(done) {
+
+      read(this.connection.copyTo('unexisting')).catch(function(err) {
+        expect(err).toBeAnInstanceOf(PostgreSql.UndefinedTableError);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".execute()", function() {
+
+    it("executes raw queries", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id', { type: 'serial' });
+        schema.column('name', { type: 'string' });
+        yield schema.create();
+
+        yield this.connection.openTransaction();
+
+        yield schema.insert({ name: 'new gallery' });
+        var id = schema.lastInsertId();
+        var cursor = yield this.connection.query('SELECT "name" FROM "gallery" WHERE "id" = ' + id);
+        var gallery = cursor.next();
+        expect(gallery.name).toBe('new gallery');
+
+        yield this.connection.execute("ROLLBACK");
+
+        cursor = yield this.connection.query('SELECT "name" FROM "gallery" WHERE "id" = ' + id);
+        expect(cursor.next()).toBe(undefined);
+
+        yield schema.drop();
+        done();
+      }.bind(this));
+    });
+
+    it("binds parameters", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id', { type: 'serial' });
+        schema.column('name', { type: 'string' });
+        yield schema.create();
+
+        yield this.connection.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ["O'Reilly"]);
+
+        var cursor = yield this.connection.query('SELECT "name" FROM "gallery" WHERE "name" = $1', ["O'Reilly"]);
+        expect(cursor.next().name).toBe("O'Reilly");
+
+        yield schema.drop();
+        done();
+      }.bind(this));
+    });
+
+  });
+
+  describe(".transaction()", function() {
+
+    beforeEach(function(done) {
+
+      this.schema = new Schema({ connection: this.connection });
+      this.schema.source('gallery');
+      this.schema.column('id', { type: 'serial' });
+      this.schema.column('name', { type: 'string' });
+      this.schema.create().then(function() {
+        done();
+      });
+
+    });
+
+    afterEach(function(done) {
+
+      this.schema.drop().then(function() {
+        done();
+      });
+
+    });
+
+    it("commits on success", function(done) {
+
+      co(function*() {
+        var result = yield this.connection.transaction(function(tx) {
+          return tx.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ['new gallery']).then(function() {
+            return 'done';
+          });
+        });
+        expect(result).toBe('done');
+
+        var cursor = yield this.connection.query('SELECT "name" FROM "gallery"');
+        expect(cursor.next().name).toBe('new gallery');
+        expect(this.connection.transactionLevel()).toBe(0);
+        done();
+      }.bind(this));
+
+    });
+
+    it("rollbacks on failure", function(done) {
+
+      co(function*() {
+        var error;
+        try {
+          yield this.connection.transaction(function*(tx) {
+            yield tx.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ['new gallery']);
+            throw new Error('Failure');
+          });
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).toBe('Failure');
+
+        var cursor = yield this.connection.query('SELECT "name" FROM "gallery"');
+        expect(cursor.valid()).toBe(false);
+        done();
+      }.bind(this));
+
+    });
+
+    it("doesn't rollback queries sent outside the transaction in single client mode", function(done) {
+
+      co(function*() {
+        var connection = this.connection;
+        var error;
+        try {
+          yield connection.transaction(function*(tx) {
+            yield tx.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ['inside']);
+            yield connection.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ['outside']);
+            throw new Error('Failure');
+          });
+        } catch (err) {
+          error = err;
+        }
+        expect(error.message).toBe('Failure');
+
+        var cursor = yield connection.query('SELECT "name" FROM "gallery"');
+        expect(cursor.data()).toEqual([{ name: 'outside' }]);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("uses savepoints for nested transactions", function(done) {
+
+      co(function*() {
+        yield this.connection.transaction(function*(tx) {
+          yield tx.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ['outer']);
+          try {
+            yield tx.transaction(function*(nested) {
+              expect(nested.transactionLevel()).toBe(2);
+              yield nested.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ['inner']);
+              throw new Error('Failure');
+            });
+          } catch (err) {
+            expect(err.message).toBe('Failure');
+          }
+          yield tx.transaction(function(nested) {
+            return nested.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ['committed']);
+          });
+        });
+
+        var cursor = yield this.connection.query('SELECT "name" FROM "gallery" ORDER BY "id"');
+        expect(cursor.next().name).toBe('outer');
+        expect(cursor.next().name).toBe('committed');
+        expect(cursor.next()).toBe(undefined);
+        done();
+      }.bind(this));
+
+    });
+
+    it("pins a single pooled client", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 3 }
+        });
+        yield connection.transaction(function*(tx) {
+          var first = yield tx.query('SELECT pg_backend_pid() AS pid');
+          var second = yield tx.query('SELECT pg_backend_pid() AS pid');
+          expect(first.next().pid).toBe(second.next().pid);
+          expect(tx.client()).toBeAn('object');
+        });
+        expect(connection.pool().idleCount).toBe(1);
+        connection.disconnect();
+        done();
+      }.bind(this));
+
+    });
+
+    it("supports isolation levels and access modes", function(done) {
+
+      co(function*() {
+        yield this.connection.transaction(function*(tx) {
+          var cursor = yield tx.query('SHOW transaction_isolation');
+          expect(cursor.next().transaction_isolation).toBe('serializable');
+          cursor = yield tx.query('SHOW transaction_read_only');
+          expect(cursor.next().transaction_read_only).toBe('on');
+          cursor = yield tx.query('SHOW transaction_deferrable');
+          expect(cursor.next().transaction_deferrable).toBe('on');
+        }, { isolation: 'serializable', readOnly: true, deferrable: true });
+
+        yield this.connection.transaction(function*(tx) {
+          var cursor = yield tx.query('SHOW transaction_isolation');
+          expect(cursor.next().transaction_isolation).toBe('repeatable read');
+        }, { isolation: 'REPEATABLE READ' });
+        done();
+      }.bind(this));
+
+    });
+
+    it("retries serialization failures according to the retry policy", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          retry: {
+            attempts: 3,
+            backoff: function(attempt) {
+              return attempt;
+            }
+          }
+        });
+        var retries = [];
+        connection.on('retry', function(event) {
+          retries.push(event);
+        });
+
+        var calls = 0;
+        var result = yield connection.transaction(function*(tx) {
+          calls++;
+          yield tx.execute('INSERT INTO "gallery" ("name") VALUES ($1)', ['attempt ' + calls]);
+          if (calls < 3) {
+            var err = new Error('could not serialize access due to concurrent update');
+            err.code = calls === 1 ? '40001' : '40P01';
+            throw err;
+          }
+          return calls;
+        });
+
+        expect(result).toBe(3);
+        expect(retries.length).toBe(2);
+        expect(retries[0].attempt).toBe(1);
+        expect(retries[0].delay).toBe(1);
+        expect(retries[0].error.code).toBe('40001');
+        expect(retries[1].attempt).toBe(2);
+        expect(retries[1].error.code).toBe('40P01');
+
+        var cursor = yield connection.query('SELECT "name" FROM "gallery"');
+        expect(cursor.next().name).toBe('attempt 3');
+        expect(cursor.next()).toBe(undefined);
+        connection.disconnect();
+        done();
+      }.bind(this));
+
+    });
+
+    it("gives up once the maximum number of attempts is reached", function(done) {
+
+      var calls = 0;
+      this.connection.transaction(function() {
+        calls++;
+        var err = new Error('deadlock detected');
+        err.code = '40P01';
+        throw err;
+      }, { retry: { attempts: 2, backoff: function() { return 0; } } }).then(function() {
+        expect(false).toBe(true);
+      }).catch(function(err) {
+        expect(err.code).toBe('40P01');
+        expect(calls).toBe(2);
+        done();
+      });
+
+    });
+
+    it("doesn't retry other failures", function(done) {
+
+      var calls = 0;
+      this.connection.transaction(function(tx) {
+        calls++;
+        return tx.query('SELECT * FROM');
+      }, { retry: { attempts: 3 } }).then(function() {
+        expect(false).toBe(true);
+      }).catch(function(err) {
+        expect(err.code).toBe('42601');
+        expect(calls).toBe(1);
+        done();
+      });
+
+    });
+
+    it("rejects invalid isolation levels", function(done) {
+
+      this.connection.transaction(function() {}, { isolation: 'CHAOTIC' }).then(function() {
+        expect(false).toBe(true);
+      }).catch(function(err) {
+        expect(err.message).toBe("Invalid transaction isolation level `'CHAOTIC'`.");
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".withAdvisoryLock()", function() {
+
+    beforeEach(function() {
+      this.pooled = new PostgreSql({
+        database: 'chaos_test',
+        username: 'postgres',
+        pool: { max: 2 }
+      });
+      this.locks = "SELECT count(*)::int AS count FROM pg_locks WHERE locktype = 'advisory'";
+    });
+
+    afterEach(function() {
+      this.pooled.disconnect();
+    });
+
+    it("runs a callback while holding a session lock", function(done) {
+
+      co(function*() {
+        var connection = this.connection;
+        var locks = this.locks;
+        var result = yield this.pooled.withAdvisoryLock(42, function*(scope) {
+          expect(scope.client()).toBeTruthy();
+          var cursor = yield connection.query(locks);
+          expect(cursor.next().count).toBe(1);
+          return 'done';
+        });
+        expect(result).toBe('done');
+
+        var cursor = yield connection.query(locks);
+        expect(cursor.next().count).toBe(0);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("releases the lock when the callback fails", function(done) {
+
+      co(function*() {
+        try {
+          yield this.pooled.withAdvisoryLock('cron', function() {
+            throw new Error('Failed.');
+          });
+        } catch (err) {
+          expect(err.message).toBe('Failed.');
+        }
+        var cursor = yield this.connection.query(this.locks);
+        expect(cursor.next().count).toBe(0);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("rejects with a `LockNotAvailableError` when the lock is held and `wait` is `false`", function(done) {
+
+      co(function*() {
+        var pooled = this.pooled;
+        var error;
+        yield pooled.withAdvisoryLock('cron', function*() {
+          try {
+            yield pooled.withAdvisoryLock('cron', function() {}, { wait: false });
+          } catch (err) {
+            error = err;
+          }
+        });
+        expect(error).toBeAnInstanceOf(PostgreSql.LockNotAvailableError);
+        expect(error.message).toBe('Advisory lock `cron` not available.');
+
+        var result = yield pooled.withAdvisoryLock('cron', function*() {
+          return yield pooled.withAdvisoryLock('cron', function() {
+            return 'shared';
+          }, { shared: true, wait: false });
+        }, { shared: true });
+        expect(result).toBe('shared');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("acquires a transaction lock released by the commit", function(done) {
+
+      co(function*() {
+        var connection = this.connection;
+        var locks = this.locks;
+        yield this.pooled.withAdvisoryLock(42, function*(tx) {
+          expect(tx.transactionLevel()).toBe(1);
+          var cursor = yield connection.query(locks);
+          expect(cursor.next().count).toBe(1);
+        }, { transactional: true });
+
+        var cursor = yield connection.query(locks);
+        expect(cursor.next().count).toBe(0);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("excludes overlapping calls in single client mode", function(done) {
+
+      co(function*() {
+        var connection = getConnection();
+        var errors = [];
+        yield connection.withAdvisoryLock('cron', function*() {
+          for (var transactional of [false, true]) {
+            try {
+              yield connection.withAdvisoryLock('cron', function() {}, { wait: false, transactional: transactional });
+            } catch (err) {
+              errors.push(err);
+            }
+          }
+        });
+        expect(errors.length).toBe(2);
+        expect(errors[0]).toBeAnInstanceOf(PostgreSql.LockNotAvailableError);
+        expect(errors[1]).toBeAnInstanceOf(PostgreSql.LockNotAvailableError);
+
+        var cursor = yield connection.query(this.locks);
+        expect(cursor.next().count).toBe(0);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("rejects invalid keys", function(done) {
+
+      this.pooled.withAdvisoryLock(1.5, function() {}).then(function() {
+        done(new Error('Expected an error.'));
+      }, function(err) {
+        expect(err.message).toBe("Invalid advisory lock key `'1.5'`.");
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".queue()", function() {
+
+    beforeEach(function(done) {
+
+      this.queue = this.connection.queue('mails', { backoff: function() { return 0; } });
+      this.queue.create().then(function() {
+        done();
+      });
+
+    });
+
+    afterEach(function(done) {
+
+      this.queue.drop().then(function() {
+        done();
+      });
+
+    });
+
+    it("enqueues and claims jobs", function(done) {
+
+      co(function*() {
+        var queue = this.queue;
+        yield queue.enqueue({ to: 'a@example.com' });
+        yield queue.enqueue({ to: 'b@example.com' });
+        yield queue.enqueue({ to: 'c@example.com' }, { delay: 60000 });
+        yield this.connection.queue('other').enqueue({ to: 'd@example.com' });
+
+        var jobs = yield queue.claim(5);
+        expect(jobs.map(function(job) { return job.payload; })).toEqual([
+          { to: 'a@example.com' },
+          { to: 'b@example.com' }
+        ]);
+        expect(jobs[0].attempts).toBe(1);
+        expect(jobs[0].maxAttempts).toBe(5);
+        expect(yield queue.claim(5)).toEqual([]);
+        expect(yield queue.count('running')).toBe(2);
+        expect(yield queue.count()).toBe(3);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("never claims the same job twice concurrently", function(done) {
+
+      co(function*() {
+        var pooled = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 2 }
+        });
+        var queue = pooled.queue('mails');
+        for (var i = 0; i < 4; i++) {
+          yield queue.enqueue({ index: i });
+        }
+        var claims = yield Promise.all([queue.claim(3), queue.claim(3)]);
+        var ids = claims[0].concat(claims[1]).map(function(job) {
+          return job.id;
+        });
+        expect(ids.length).toBe(4);
+        expect(ids.filter(function(id, index) {
+          return ids.indexOf(id) === index;
+        }).length).toBe(4);
+        pooled.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("acks jobs", function(done) {
+
+      co(function*() {
+        var queue = this.queue;
+        yield queue.enqueue({ to: 'a@example.com' });
+        var job = (yield queue.claim())[0];
+        expect(yield queue.ack(job)).toBe(true);
+        expect(yield queue.ack(job)).toBe(false);
+        expect(yield queue.count()).toBe(0);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("retries failed jobs and dead-letters them", function(done) {
+
+      co(function*() {
+        var queue = this.queue;
+        var id = yield queue.enqueue({ to: 'a@example.com' }, { attempts: 2 });
+
+        var job = (yield queue.claim())[0];
+        expect(yield queue.fail(job, new Error('Unreachable.'))).toBe(true);
+
+        job = (yield queue.claim())[0];
+        expect(job.attempts).toBe(2);
+        expect(job.lastError).toBe('Unreachable.');
+        expect(yield queue.fail(job, 'Still unreachable.')).toBe(false);
+        expect(yield queue.claim()).toEqual([]);
+
+        var dead = yield queue.dead();
+        expect(dead.length).toBe(1);
+        expect(dead[0].id).toBe(id);
+        expect(dead[0].lastError).toBe('Still unreachable.');
+
+        expect(yield queue.retry(id)).toBe(true);
+        job = (yield queue.claim())[0];
+        expect(job.attempts).toBe(1);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("delays retries according to the backoff", function(done) {
+
+      co(function*() {
+        var queue = this.connection.queue('mails', { backoff: function() { return 60000; } });
+        yield queue.enqueue({ to: 'a@example.com' });
+        var job = (yield queue.claim())[0];
+        yield queue.fail(job, 'Unreachable.');
+        expect(yield queue.claim()).toEqual([]);
+        expect(yield queue.count('pending')).toBe(1);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("reclaims jobs whose lease expired", function(done) {
+
+      co(function*() {
+        var queue = this.connection.queue('mails', { lease: 0 });
+        yield queue.enqueue({ to: 'a@example.com' });
+        var job = (yield queue.claim())[0];
+        var reclaimed = (yield queue.claim())[0];
+        expect(reclaimed.id).toBe(job.id);
+        expect(reclaimed.attempts).toBe(2);
+        expect(yield queue.ack(job)).toBe(false);
+        expect(yield queue.ack(reclaimed)).toBe(true);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("processes jobs within transactions", function(done) {
+
+      co(function*() {
+        var queue = this.queue;
+        yield this.connection.execute('CREATE TABLE "mail" ("to" text)');
+        yield queue.enqueue({ to: 'a@example.com' });
+        yield queue.enqueue({ to: 'fail' });
+
+        var processed = yield queue.work(function*(job, tx) {
+          yield tx.query('INSERT INTO "mail" ("to") VALUES ($1)', [job.payload.to]);
+          if (job.payload.to === 'fail') {
+            throw new Error('Invalid recipient.');
+          }
+        }, { limit: 5 });
+        expect(processed).toBe(2);
+
+        var cursor = yield this.connection.query('SELECT * FROM "mail"');
+        expect(cursor.data()).toEqual([{ to: 'a@example.com' }]);
+        expect(yield queue.count()).toBe(1);
+        var job = (yield queue.claim())[0];
+        expect(job.lastError).toBe('Invalid recipient.');
+
+        yield this.connection.execute('DROP TABLE "mail"');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("doesn't tie writes sent outside the job transaction to it", function(done) {
+
+      co(function*() {
+        var connection = this.connection;
+        yield connection.execute('CREATE TABLE "mail" ("to" text)');
+        yield this.queue.enqueue({ to: 'a@example.com' });
+
+        yield this.queue.work(function*(job, tx) {
+          yield tx.query('INSERT INTO "mail" ("to") VALUES ($1)', [job.payload.to]);
+          yield connection.query('INSERT INTO "mail" ("to") VALUES ($1)', ['outside']);
+          throw new Error('Invalid recipient.');
+        });
+
+        var cursor = yield connection.query('SELECT * FROM "mail"');
+        expect(cursor.data()).toEqual([{ to: 'outside' }]);
+
+        yield connection.execute('DROP TABLE "mail"');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("rollbacks the handler writes when the lease expired", function(done) {
+
+      co(function*() {
+        var other = getConnection();
+        var queue = this.connection.queue('mails', { lease: 0 });
+        yield this.connection.execute('CREATE TABLE "mail" ("to" text)');
+        yield queue.enqueue({ to: 'a@example.com' });
+
+        var processed = yield queue.work(function*(job, tx) {
+          yield tx.query('INSERT INTO "mail" ("to") VALUES ($1)', [job.payload.to]);
+          var reclaimed = (yield other.queue('mails', { lease: 0 }).claim())[0];
+          expect(reclaimed.id).toBe(job.id);
+        });
+        expect(processed).toBe(1);
+
+        var cursor = yield this.connection.query('SELECT * FROM "mail"');
+        expect(cursor.data()).toEqual([]);
+        expect(yield queue.count('running')).toBe(1);
+
+        yield this.connection.execute('DROP TABLE "mail"');
+        other.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("notifies enqueued jobs", function(done) {
+
+      var queue = this.connection.queue('mails', { notify: true });
+      var handler = function() {
+        queue.unlisten(handler).then(function() {
+          done();
+        });
+      };
+
+      queue.listen(handler).then(function() {
+        return this.connection.queue('other', { notify: true }).enqueue({});
+      }.bind(this)).then(function() {
+        return queue.enqueue({ to: 'a@example.com' });
+      });
+
+    });
+
+  });
+
+  describe(".withSession()", function() {
+
+    beforeEach(function(done) {
+
+      co(function*() {
+        yield this.connection.execute('CREATE ROLE "tenant_reader" NOLOGIN');
+        yield this.connection.execute('CREATE SCHEMA "tenant 1"');
+        yield this.connection.execute('CREATE TABLE "tenant 1"."invoice" ("id" serial PRIMARY KEY)');
+        yield this.connection.execute('CREATE TABLE "document" ("tenant_id" integer, "title" text)');
+        yield this.connection.execute('INSERT INTO "document" VALUES (1, $1), (2, $2)', ['one', 'two']);
+        yield this.connection.execute('ALTER TABLE "document" ENABLE ROW LEVEL SECURITY');
+        yield this.connection.execute([
+          'CREATE POLICY "tenant_isolation" ON "document"',
+          "USING (\"tenant_id\" = current_setting('app.tenant_id')::integer)"
+        ].join(' '));
+        yield this.connection.execute('GRANT SELECT ON "document" TO "tenant_reader"');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    afterEach(function(done) {
+
+      co(function*() {
+        yield this.connection.execute('DROP TABLE "document"');
+        yield this.connection.execute('DROP SCHEMA "tenant 1" CASCADE');
+        yield this.connection.execute('DROP ROLE "tenant_reader"');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("applies settings for the duration of the callback", function(done) {
+
+      co(function*() {
+        var result = yield this.connection.withSession({
+          searchPath: ['tenant 1', 'public'],
+          settings: { 'app.tenant_id': 42 }
+        }, function*(session) {
+          var cursor = yield session.query([
+            "SELECT current_setting('app.tenant_id') AS tenant,",
+            "current_setting('search_path') AS path"
+          ].join(' '));
+          expect(cursor.next()).toEqual({ tenant: '42', path: '"tenant 1","public"' });
+          yield session.query('SELECT * FROM "invoice"');
+          return 'done';
+        });
+        expect(result).toBe('done');
+
+        var cursor = yield this.connection.query([
+          "SELECT current_setting('app.tenant_id', true) AS tenant,",
+          "current_setting('search_path') AS path"
+        ].join(' '));
+        expect(cursor.next()).toEqual({ tenant: null, path: '"$user", public' });
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("doesn't leak settings to queries sent outside the session", function(done) {
+
+      co(function*() {
+        var connection = this.connection;
+        var outside = "SELECT current_setting('app.tenant_id', true) AS tenant, current_user AS role";
+        var row = yield connection.withSession({
+          role: 'tenant_reader',
+          settings: { 'app.tenant_id': 42 }
+        }, function*(session) {
+          yield session.query('SELECT 1');
+          var cursor = yield connection.query(outside);
+          return cursor.next();
+        });
+        expect(row).toEqual({ tenant: null, role: 'postgres' });
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("enforces row-level security policies", function(done) {
+
+      co(function*() {
+        var titles = yield this.connection.withSession({
+          role: 'tenant_reader',
+          settings: { 'app.tenant_id': 2 }
+        }, function*(session) {
+          var cursor = yield session.query('SELECT current_user AS role');
+          expect(cursor.next().role).toBe('tenant_reader');
+          cursor = yield session.query('SELECT "title" FROM "document"');
+          return cursor.data();
+        });
+        expect(titles).toEqual([{ title: 'two' }]);
+
+        var cursor = yield this.connection.query('SELECT current_user AS role');
+        expect(cursor.next().role).toBe('postgres');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+  });
+
+  describe("onConnect", function() {
+
+    it("applies settings to each new connection", function(done) {
+
+      co(function*() {
+        var connections = [];
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 2 },
+          onConnect: function*(scope) {
+            connections.push(scope.client().processID);
+            yield scope.execute("SET application_name = 'hooked'");
+          }
+        });
+        var name = "SELECT current_setting('application_name') AS name, pg_sleep(0.05)";
+        var cursors = yield Promise.all([connection.query(name), connection.query(name)]);
+        expect(cursors[0].next().name).toBe('hooked');
+        expect(cursors[1].next().name).toBe('hooked');
+
+        yield connection.query(name);
+        expect(connections.length).toBe(2);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("runs the hook before concurrent queries in single client mode", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          onConnect: function*(scope) {
+            yield new Promise(function(accept) {
+              setTimeout(accept, 50);
+            });
+            yield scope.execute("SET application_name = 'hooked'");
+          }
+        });
+        var name = "SELECT current_setting('application_name') AS name";
+        var cursors = yield Promise.all([connection.query(name), connection.query(name)]);
+        expect(cursors[0].next().name).toBe('hooked');
+        expect(cursors[1].next().name).toBe('hooked');
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("rejects the connection when the hook fails", function(done) {
+
+      var connection = new PostgreSql({
+        database: 'chaos_test',
+        username: 'postgres',
+        onConnect: function(scope) {
+          return scope.execute('SET "unknown" = 1');
+        }
+      });
+
+      connection.connect().then(function() {
+        done(new Error('Expected an error.'));
+      }, function(err) {
+        expect(err).toBeAnInstanceOf(PostgreSql.DatabaseError);
+        expect(connection.client()).toBe(undefined);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".listen()", function() {
+
+    beforeEach(function() {
+      this.listener = getConnection();
+    });
+
+    afterEach(function() {
+      this.listener.disconnect();
+    });
+
+    var receive = function(connection, channel, options) {
+      return new Promise(function(accept) {
+        connection.listen(channel, function(payload, name) {
+          accept({ payload: payload, channel: name });
+        }, options);
+      });
+    };
+
+    it("receives notifications", function(done) {
+
+      co(function*() {
+        var received = receive(this.listener, 'chaos_channel');
+        yield this.listener.listen('chaos_channel', function() {});
+        yield this.connection.notify('chaos_channel', 'hello');
+        expect(yield received).toEqual({ payload: 'hello', channel: 'chaos_channel' });
+        done();
+      }.bind(this));
+
+    });
+
+    it("decodes JSON payloads", function(done) {
+
+      co(function*() {
+        var received = receive(this.listener, 'Chaos Channel', { json: true });
+        yield this.listener.listen('Chaos Channel', function() {});
+        yield this.connection.notify('Chaos Channel', { id: 42 });
+        expect((yield received).payload).toEqual({ id: 42 });
+        done();
+      }.bind(this));
+
+    });
+
+    it("delivers notifications sent in a transaction on commit", function(done) {
+
+      co(function*() {
+        var payloads = [];
+        yield this.listener.listen('chaos_channel', function(payload) {
+          payloads.push(payload);
+        });
+        var received = receive(this.listener, 'chaos_channel');
+        yield this.connection.transaction(function*(tx) {
+          yield tx.notify('chaos_channel', 'rollbacked');
+          throw new Error('Failure');
+        }).catch(function() {});
+        yield this.connection.transaction(function(tx) {
+          return tx.notify('chaos_channel', 'commited');
+        });
+        yield received;
+        expect(payloads).toEqual(['commited']);
+        done();
+      }.bind(this));
+
+    });
+
+    it("subscribes again after a reconnection", function(done) {
+
+      co(function*() {
+        var listener = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          listen: {
+            backoff: function() {
+              return 10;
+            }
+          }
+        });
+        yield listener.listen('chaos_channel', function() {});
+
+        var reconnected = new Promise(function(accept) {
+          listener.on('listen:reconnect', accept);
+        });
+        yield this.connection.query("SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE query LIKE 'LISTEN %'");
+        var event = yield reconnected;
+        expect(event.channels).toEqual(['chaos_channel']);
+
+        var received = receive(listener, 'chaos_channel');
+        yield this.connection.notify('chaos_channel', 'hello');
+        expect((yield received).payload).toBe('hello');
+        listener.disconnect();
+        done();
+      }.bind(this));
+
+    });
+
+  });
+
+  describe(".unlisten()", function() {
+
+    it("unsubscribes handlers", function(done) {
+
+      co(function*() {
+        var listener = getConnection();
+        var payloads = [];
+        var handler = function(payload) {
+          payloads.push('removed');
+        };
+        yield listener.listen('chaos_channel', handler);
+        yield listener.listen('chaos_channel', function(payload) {
+          payloads.push(payload);
+        });
+        yield listener.listen('chaos_other', function() {});
+        yield listener.unlisten('chaos_channel', handler);
+
+        yield this.connection.notify('chaos_channel', 'first');
+        yield new Promise(function(accept) {
+          setTimeout(accept, 50);
+        });
+        expect(payloads).toEqual(['first']);
+
+        yield listener.unlisten('chaos_channel');
+        yield this.connection.notify('chaos_channel', 'second');
+        yield new Promise(function(accept) {
+          setTimeout(accept, 50);
+        });
+        expect(payloads).toEqual(['first']);
+
+        var cursor = yield this.connection.query("SELECT count(*)::int AS count FROM pg_stat_activity WHERE query LIKE 'UNLISTEN %'");
+        expect(cursor.next().count).toBe(1);
+
+        yield listener.unlisten('chaos_other');
+        yield new Promise(function(accept) {
+          setTimeout(accept, 50);
+        });
+        cursor = yield this.connection.query("SELECT count(*)::int AS count FROM pg_stat_activity WHERE query LIKE '%LISTEN %' AND pid <> pg_backend_pid()");
+        expect(cursor.next().count).toBe(0);
+        listener.disconnect();
+        done();
+      }.bind(this));
+
+    });
+
+  });
+
+  describe(".sources()", function() {
+
+    it("shows sources", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id', { type: 'serial' });
+        yield schema.create();
+
+        var sources = yield this.connection.sources();
+
+        expect(sources).toEqual({
+          gallery: 'gallery'
+        });
+        expect(yield this.connection.sources(undefined)).toEqual({ gallery: 'gallery' });
+        expect(yield this.connection.sources(null)).toEqual({ gallery: 'gallery' });
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+    });
+
+    describe("with options", function() {
+
+      beforeEach(function(done) {
+
+        co(function*() {
+          yield this.connection.execute([
+            "CREATE SCHEMA audit",
+            "CREATE TABLE audit.events (id serial PRIMARY KEY, name varchar(64))",
+            "CREATE TABLE measure (id integer, logged date) PARTITION BY RANGE (logged)",
+            "CREATE TABLE measure_2020 PARTITION OF measure FOR VALUES FROM ('2020-01-01') TO ('2021-01-01')",
+            "CREATE VIEW recent AS SELECT * FROM measure",
+            "CREATE MATERIALIZED VIEW summary AS SELECT count(*) AS total FROM measure"
+          ].join(';'));
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+      afterEach(function(done) {
+
+        co(function*() {
+          yield this.connection.execute([
+            "DROP SCHEMA audit CASCADE",
+            "DROP MATERIALIZED VIEW summary",
+            "DROP VIEW recent",
+            "DROP TABLE measure"
+          ].join(';'));
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+      it("reports the kind and schema of sources", function(done) {
+
+        co(function*() {
+          var sources = yield this.connection.sources({ schemas: ['public', 'audit'] });
+
+          expect(sources).toEqual({
+            'audit.events': { name: 'events', schema: 'audit', kind: 'table' },
+            measure: { name: 'measure', schema: 'public', kind: 'partitioned table' },
+            measure_2020: { name: 'measure_2020', schema: 'public', kind: 'partition' },
+            recent: { name: 'recent', schema: 'public', kind: 'view' },
+            summary: { name: 'summary', schema: 'public', kind: 'materialized view' }
+          });
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+      it("filters sources by kind", function(done) {
+
+        co(function*() {
+          var sources = yield this.connection.sources({ kinds: ['view', 'materialized view'] });
+          expect(Object.keys(sources)).toEqual(['recent', 'summary']);
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+      it("rejects invalid kinds", function(done) {
+
+        this.connection.sources({ kinds: ['sequence'] }).catch(function(err) {
+          expect(err.message).toBe("Invalid source kind `'sequence'`.");
+          done();
+        });
+
+      });
+
+      it("describes schema-qualified sources", function(done) {
+
+        co(function*() {
+          var events = yield this.connection.describe('audit.events');
+
+          expect(events.source()).toBe('audit.events');
+          expect(events.key()).toBe('id');
+          expect(events.column('name').length).toBe(64);
+
+          yield events.insert({ name: 'login' });
+          var cursor = yield this.connection.query('SELECT name FROM audit.events');
+          expect(cursor.next().name).toBe('login');
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+    });
+
+  });
+
+  describe(".describe()", function() {
+
+    beforeEach(function() {
+
+      this.schema = new Schema();
+      this.schema.source('gallery');
+      this.schema.column('id', { type: 'serial' });
+      this.schema.column('name', {
+        type: 'string',
+        length: 128,
+        default: 'Johnny Boy'
+      });
+      this.schema.column('active', {
+        type: 'boolean',
+        default: true
+      });
+      this.schema.column('inactive', {
+        type: 'boolean',
+        default: false
+      });
+      this.schema.column('money', {
+        type: 'decimal',
+        length: 10,
+        precision: 2
+      });
+      this.schema.column('created', {
+        type: 'datetime',
+        use: 'timestamp',
+        default: { ':plain': 'CURRENT_TIMESTAMP' }
+      });
+
+    });
+
+    it("describe a source", function(done) {
+
+      co(function*() {
+        this.schema.connection(this.connection);
+        yield this.schema.create();
+
+        var gallery = yield this.connection.describe('gallery');
+
+        expect(gallery.column('id')).toEqual({
+          use: 'integer',
+          type: 'integer',
+          null: false,
+          default: { ':plain': "nextval('gallery_id_seq'::regclass)" },
+          array: false
+        });
+
+        expect(gallery.column('name')).toEqual({
+          use: 'character varying',
+          type: 'string',
+          length: 128,
+          null: false,
+          default: 'Johnny Boy',
+          array: false
+        });
+
+        expect(gallery.column('active')).toEqual({
+          use: 'boolean',
+          type: 'boolean',
+          null: false,
+          default: true,
+          array: false
+        });
+
+        expect(gallery.column('inactive')).toEqual({
+          use: 'boolean',
+          type: 'boolean',
+          null: false,
+          default: false,
+          array: false
+        });
 
         expect(gallery.column('money')).toEqual({
           use: 'numeric',
@@ -357,71 +2483,1061 @@ describe("PostgreSql", function() {
           array: false
         });
 
-        expect(gallery.column('created')).toEqual({
-          use: 'timestamp without time zone',
-          type: 'datetime',
-          length: 6,
-          null: false,
-          default: null,
-          array: false
+        expect(gallery.column('created')).toEqual({
+          use: 'timestamp without time zone',
+          type: 'datetime',
+          length: 6,
+          null: false,
+          default: { ':plain': 'CURRENT_TIMESTAMP' },
+          array: false
+        });
+
+        yield this.schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("creates a schema instance without introspection", function(done) {
+
+      co(function*() {
+
+        var gallery = yield this.connection.describe('gallery', this.schema.columns());
+
+        expect(gallery.column('id')).toEqual({
+          type: 'serial',
+          null: false,
+          array: false
+        });
+
+        expect(gallery.column('name')).toEqual({
+          type: 'string',
+          length: 128,
+          null: false,
+          default: 'Johnny Boy',
+          array: false
+        });
+
+        expect(gallery.column('active')).toEqual({
+          type: 'boolean',
+          null: false,
+          default: true,
+          array: false
+        });
+
+        expect(gallery.column('inactive')).toEqual({
+          type: 'boolean',
+          null: false,
+          default: false,
+          array: false
+        });
+
+        expect(gallery.column('money')).toEqual({
+          type: 'decimal',
+          length: 10,
+          precision: 2,
+          null: false,
+          array: false
+        });
+
+        expect(gallery.column('created')).toEqual({
+          use: 'timestamp',
+          type: 'datetime',
+          null: false,
+          array: false,
+          default: { ':plain': 'CURRENT_TIMESTAMP' }
+        });
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".fields()", function() {
+
+    beforeEach(function(done) {
+
+      co(function*() {
+        yield this.connection.execute("DROP TABLE IF EXISTS typed; DROP TYPE IF EXISTS mood");
+        yield this.connection.execute("CREATE TYPE mood AS ENUM ('sad', 'ok', 'happy')");
+        yield this.connection.execute(
+          "CREATE TABLE typed (id serial PRIMARY KEY, tags text[], doc jsonb, uid uuid, " +
+          "feeling mood, feelings mood[], span int4range, period tstzrange, ip inet)"
+        );
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    afterEach(function(done) {
+
+      co(function*() {
+        yield this.connection.execute("DROP TABLE IF EXISTS typed; DROP TYPE IF EXISTS mood");
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("describes arrays, JSON, UUID, enum and range columns", function(done) {
+
+      co(function*() {
+        var fields = {};
+        for (var field of yield this.connection.fields('typed')) {
+          Object.assign(fields, field);
+        }
+
+        expect(fields.tags).toEqual({ use: 'text', type: 'string', array: true, null: true, default: null });
+        expect(fields.doc).toEqual({ use: 'jsonb', type: 'json', null: true, default: null });
+        expect(fields.uid).toEqual({ use: 'uuid', type: 'string', null: true, default: null });
+        expect(fields.feeling).toEqual({
+          use: 'mood',
+          type: 'string',
+          enum: ['sad', 'ok', 'happy'],
+          null: true,
+          default: null
+        });
+        expect(fields.feelings.enum).toEqual(['sad', 'ok', 'happy']);
+        expect(fields.feelings.array).toBe(true);
+        expect(fields.span).toEqual({ use: 'int4range', type: 'range', subtype: 'integer', null: true, default: null });
+        expect(fields.period.subtype).toBe('datetime');
+        expect(fields.ip).toEqual({ use: 'inet', type: 'string', null: true, default: null });
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("serializes and parses back arrays, objects and ranges", function(done) {
+
+      co(function*() {
+        yield this.connection.fields('typed');
+
+        var insert = this.connection.dialect().statement('insert');
+        insert.into('typed').values({
+          tags: ["it's", 'a,b', 'q"\\', null],
+          doc: { name: "it's", list: [1, 2] },
+          feeling: 'happy',
+          feelings: ['ok', 'sad'],
+          span: new PostgreSql.Range(1, 10),
+          period: new PostgreSql.Range(new Date('2020-01-01T00:00:00Z'), null, '[)')
+        });
+        yield this.connection.query(insert.toString());
+
+        var cursor = yield this.connection.query('SELECT * FROM typed');
+        var row = cursor.next();
+
+        expect(row.tags).toEqual(["it's", 'a,b', 'q"\\', null]);
+        expect(row.doc).toEqual({ name: "it's", list: [1, 2] });
+        expect(row.feeling).toBe('happy');
+        expect(row.feelings).toEqual(['ok', 'sad']);
+        expect(row.span instanceof PostgreSql.Range).toBe(true);
+        expect(row.span.lower).toBe(1);
+        expect(row.span.upper).toBe(10);
+        expect(row.span.bounds).toBe('[)');
+        expect(row.period.lower.toISOString()).toBe('2020-01-01T00:00:00.000Z');
+        expect(row.period.upper).toBe(null);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("parses constant defaults and marks non constant ones", function(done) {
+
+      co(function*() {
+        yield this.connection.execute(
+          "CREATE TABLE defaults (id serial, quoted varchar(10) DEFAULT 'it''s', escaped text DEFAULT E'a\\\\b', " +
+          "nothing varchar DEFAULT NULL::character varying, count integer DEFAULT 42, negative integer DEFAULT -3, " +
+          "active boolean DEFAULT true, flag boolean, doc jsonb DEFAULT '{\"a\":1}', tags text[] DEFAULT '{a,b}', " +
+          "created timestamp DEFAULT now(), doubled integer GENERATED ALWAYS AS (count * 2) STORED)"
+        );
+        var fields = {};
+        for (var field of yield this.connection.fields('defaults')) {
+          Object.assign(fields, field);
+        }
+        yield this.connection.execute("DROP TABLE defaults");
+
+        expect(fields.id['default']).toEqual({ ':plain': "nextval('defaults_id_seq'::regclass)" });
+        expect(fields.quoted['default']).toBe("it's");
+        expect(fields.escaped['default']).toBe('a\\b');
+        expect(fields.nothing['default']).toBe(null);
+        expect(fields.count['default']).toBe(42);
+        expect(fields.negative['default']).toBe(-3);
+        expect(fields.active['default']).toBe(true);
+        expect(fields.flag['default']).toBe(null);
+        expect(fields.doc['default']).toEqual({ a: 1 });
+        expect(fields.tags['default']).toEqual(['a', 'b']);
+        expect(fields.created['default']).toEqual({ ':plain': 'now()' });
+        expect(fields.doubled['default']).toEqual({ ':plain': '(count * 2)' });
+        expect(fields.doubled.generated).toBe(true);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("parses and formats range literals", function() {
+
+      expect(PostgreSql.Range.parse('empty').empty).toBe(true);
+      expect(PostgreSql.Range.parse('(,"a,b"]').upper).toBe('a,b');
+      expect(new PostgreSql.Range(1, null, '(]').toString()).toBe('("1",]');
+
+    });
+
+  });
+
+  describe("introspection", function() {
+
+    before(function(done) {
+
+      co(function*() {
+        yield this.connection.execute('CREATE TABLE "author" ("id" serial PRIMARY KEY, "email" varchar(255) NOT NULL UNIQUE, "age" integer CHECK ("age" > 0))');
+        yield this.connection.execute('CREATE TABLE "book" ("id" serial PRIMARY KEY, "author_id" integer REFERENCES "author" ("id") ON DELETE CASCADE, "title" text)');
+        yield this.connection.execute('CREATE INDEX "book_title_idx" ON "book" (lower("title")) WHERE "title" IS NOT NULL');
+        yield this.connection.execute('CREATE TABLE "tag" ("code" varchar(16) PRIMARY KEY, "name" text)');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    after(function(done) {
+
+      this.connection.execute('DROP TABLE "book", "author", "tag"').then(function() {
+        done();
+      });
+
+    });
+
+    describe(".constraints()", function() {
+
+      it("extracts constraints", function(done) {
+
+        co(function*() {
+          var constraints = yield this.connection.constraints('author');
+          expect(constraints).toEqual([
+            {
+              name: 'author_age_check',
+              type: 'check',
+              columns: ['age'],
+              definition: 'CHECK (age > 0)',
+              expr: 'age > 0'
+            },
+            {
+              name: 'author_email_key',
+              type: 'unique',
+              columns: ['email'],
+              definition: 'UNIQUE (email)'
+            },
+            {
+              name: 'author_pkey',
+              type: 'primary',
+              columns: ['id'],
+              definition: 'PRIMARY KEY (id)'
+            }
+          ]);
+          done();
+        }.bind(this));
+
+      });
+
+    });
+
+    describe(".foreignKeys()", function() {
+
+      it("extracts foreign keys", function(done) {
+
+        co(function*() {
+          var foreignKeys = yield this.connection.foreignKeys('book');
+          expect(foreignKeys).toEqual([{
+            name: 'book_author_id_fkey',
+            type: 'foreign key',
+            columns: ['author_id'],
+            definition: 'FOREIGN KEY (author_id) REFERENCES author(id) ON DELETE CASCADE',
+            to: 'author',
+            toSchema: 'public',
+            references: ['id'],
+            onUpdate: 'NO ACTION',
+            onDelete: 'CASCADE'
+          }]);
+          done();
+        }.bind(this));
+
+      });
+
+    });
+
+    describe(".indexes()", function() {
+
+      it("extracts indexes", function(done) {
+
+        co(function*() {
+          var indexes = yield this.connection.indexes('book');
+          expect(indexes).toEqual([
+            {
+              name: 'book_pkey',
+              columns: ['id'],
+              method: 'btree',
+              unique: true,
+              primary: true,
+              where: null,
+              definition: 'CREATE UNIQUE INDEX book_pkey ON public.book USING btree (id)'
+            },
+            {
+              name: 'book_title_idx',
+              columns: ['lower(title)'],
+              method: 'btree',
+              unique: false,
+              primary: false,
+              where: 'title IS NOT NULL',
+              definition: 'CREATE INDEX book_title_idx ON public.book USING btree (lower(title)) WHERE (title IS NOT NULL)'
+            }
+          ]);
+          done();
+        }.bind(this));
+
+      });
+
+    });
+
+    describe(".describe()", function() {
+
+      it("populates the primary key, constraints and indexes", function(done) {
+
+        co(function*() {
+          var book = yield this.connection.describe('book');
+          expect(book.key()).toBe('id');
+
+          var meta = book.meta();
+          expect(meta.primaryKey.columns).toEqual(['id']);
+          expect(meta.uniqueKeys).toEqual([]);
+          expect(meta.foreignKeys.length).toBe(1);
+          expect(meta.foreignKeys[0].to).toBe('author');
+          expect(meta.checks).toEqual([]);
+          expect(meta.indexes.length).toBe(2);
+
+          var tag = yield this.connection.describe('tag');
+          expect(tag.key()).toBe('code');
+          done();
+        }.bind(this));
+
+      });
+
+    });
+
+  });
+
+  describe("migrations", function() {
+
+    beforeEach(function() {
+      this.schema = new Schema({ connection: this.connection });
+      this.schema.source('gallery');
+      this.schema.column('id',   { type: 'serial' });
+      this.schema.column('name', { type: 'string', null: true, default: 'untitled' });
+      this.schema.column('views', { type: 'integer', default: 0 });
+    });
+
+    afterEach(function(done) {
+
+      this.connection.dropSource('gallery').then(function() {
+        done();
+      });
+
+    });
+
+    describe(".createSource()", function() {
+
+      it("creates a table from a schema", function(done) {
+
+        co(function*() {
+          expect(yield this.connection.createSource(this.schema)).toBe(true);
+          var sources = yield this.connection.sources();
+          expect(sources.gallery).toBe('gallery');
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+    });
+
+    describe(".dropSource()", function() {
+
+      it("drops a table", function(done) {
+
+        co(function*() {
+          yield this.connection.createSource(this.schema);
+          expect(yield this.connection.dropSource('gallery')).toBe(true);
+          var sources = yield this.connection.sources();
+          expect(sources.gallery).toBe(undefined);
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+    });
+
+    describe(".alterSource()", function() {
+
+      it("adds, drops and alters columns", function(done) {
+
+        co(function*() {
+          yield this.connection.createSource(this.schema);
+          yield this.connection.alterSource('gallery', {
+            add: { active: { type: 'boolean', default: true } },
+            drop: ['views'],
+            alter: { name: { type: 'text', null: false, default: null } }
+          });
+          var fields = yield this.connection.fields('gallery');
+          expect(fields.slice(1)).toEqual([
+            { name: { use: 'text', type: 'string', null: false, default: null } },
+            { active: { use: 'boolean', type: 'boolean', null: true, default: true } }
+          ]);
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+    });
+
+    describe(".diff()", function() {
+
+      it("returns a `CREATE TABLE` statement for a missing table", function(done) {
+
+        co(function*() {
+          var statements = yield this.connection.diff(this.schema);
+          expect(statements).toEqual([
+            'CREATE TABLE "gallery" ("id" serial NOT NULL, "name" varchar(255) NULL DEFAULT \'untitled\', "views" integer NOT NULL DEFAULT 0, PRIMARY KEY ("id"))'
+          ]);
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+      it("returns the `ALTER TABLE` statement reconciling the live table", function(done) {
+
+        co(function*() {
+          yield this.connection.createSource(this.schema);
+          expect(yield this.connection.diff(this.schema)).toEqual([]);
+
+          var schema = new Schema({ connection: this.connection });
+          schema.source('gallery');
+          schema.column('id',     { type: 'serial' });
+          schema.column('name',   { type: 'string', length: 100 });
+          schema.column('views',  { type: 'integer', null: true });
+          schema.column('active', { type: 'boolean', default: false });
+
+          var statements = yield this.connection.diff(schema);
+          expect(statements).toEqual([[
+            'ALTER TABLE "gallery" ADD COLUMN "active" boolean NOT NULL DEFAULT FALSE,',
+            'ALTER COLUMN "name" TYPE varchar(100) USING "name"::varchar(100), ALTER COLUMN "name" SET NOT NULL,',
+            'ALTER COLUMN "name" DROP DEFAULT, ALTER COLUMN "views" DROP NOT NULL, ALTER COLUMN "views" DROP DEFAULT'
+          ].join(' ')]);
+
+          yield this.connection.execute(statements[0]);
+          expect(yield this.connection.diff(schema)).toEqual([]);
+        }.bind(this)).then(function() {
+          done();
+        });
+
+      });
+
+    });
+
+  });
+
+  describe(".lastInsertId()", function() {
+
+    it("gets the encoding last insert ID", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id',   { type: 'serial' });
+        schema.column('name', { type: 'string', null: true });
+        yield schema.create();
+
+        yield schema.insert({ name: 'new gallery' });
+        expect(schema.lastInsertId()).toBe(1);
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("gets the encoding last insert ID even with an empty record", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id',   { type: 'serial' });
+        schema.column('name', { type: 'string', null: true });
+        yield schema.create();
+
+        yield schema.insert({});
+        expect(schema.lastInsertId()).toBe(1);
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+
+    it("gets the ids from the returned primary key", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('uid',  { type: 'serial' });
+        schema.column('name', { type: 'string', null: true });
+        yield schema.create();
+
+        expect(yield this.connection.query('INSERT INTO "gallery" ("name") VALUES ($1)', ['new gallery'], { key: 'uid' })).toBe(true);
+        expect(this.connection.lastInsertId()).toBe(1);
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("doesn't require a sequence", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id',   { type: 'string' });
+        schema.column('name', { type: 'string', null: true });
+        yield schema.create();
+
+        yield schema.insert({ id: 'abc', name: 'new gallery' });
+        expect(schema.lastInsertId()).toBe('abc');
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("only returns the primary key when named", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id',   { type: 'serial' });
+        schema.column('name', { type: 'string', null: true });
+        yield schema.create();
+
+        var sql;
+        var listener = function(event) {
+          sql = event.sql;
+        };
+        this.connection.on('query:start', listener);
+        yield this.connection.query('INSERT INTO "gallery" ("name") SELECT $1', ['a']);
+        expect(sql).toBe('INSERT INTO "gallery" ("name") SELECT $1 RETURNING *');
+        yield this.connection.query('INSERT INTO "gallery" ("name") SELECT $1', ['b'], { key: 'id' });
+        expect(sql).toBe('INSERT INTO "gallery" ("name") SELECT $1 RETURNING "id"');
+        this.connection.off('query:start', listener);
+        expect(this.connection.lastInsertId()).toBe(2);
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("ignores `RETURNING` inside literals, identifiers and comments", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id',   { type: 'serial' });
+        schema.column('name', { type: 'string', null: true });
+        yield schema.create();
+
+        expect(yield this.connection.query("INSERT INTO \"gallery\" (\"name\") VALUES ('Returning home')")).toBe(true);
+        expect(this.connection.lastInsertId()).toBe(1);
+
+        expect(yield this.connection.query('INSERT INTO "gallery" ("name") VALUES ($1) -- returning', ['b'])).toBe(true);
+        expect(this.connection.lastInsertId()).toBe(2);
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("doesn't require an `id` column", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection, key: 'post_id' });
+        schema.source('post');
+        schema.column('post_id', { type: 'serial' });
+        schema.column('title',   { type: 'string', null: true });
+        yield schema.create();
+
+        expect(yield schema.insert({ title: 'Hello' })).toBe(true);
+        expect(this.connection.lastInsertId()).toBe(undefined);
+        expect(schema.lastInsertId()).toBe(1);
+
+        yield this.connection.execute('CREATE TABLE "post_tag" ("post_id" integer, "tag_id" integer)');
+        expect(yield this.connection.query('INSERT INTO "post_tag" ("post_id", "tag_id") VALUES (1, 2)')).toBe(true);
+        expect(this.connection.lastInsertIds()).toEqual([]);
+        yield this.connection.execute('DROP TABLE "post_tag"');
+
+        expect(yield this.connection.query('INSERT INTO "post" ("title") VALUES ($1)', ['World'], { key: 'post_id' })).toBe(true);
+        expect(this.connection.lastInsertId()).toBe(2);
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("supports multi-statement queries and tables without primary key", function(done) {
+
+      co(function*() {
+        yield this.connection.execute('CREATE TABLE "tag" ("name" text)');
+
+        expect(yield this.connection.query('INSERT INTO "tag" ("name") VALUES (\'a\'); SELECT 1')).toBe(true);
+        expect(yield this.connection.query('INSERT INTO "tag" ("name") VALUES (\'b\')')).toBe(true);
+        expect(this.connection.lastInsertIds()).toEqual([]);
+
+        var cursor = yield this.connection.query('SELECT count(*)::int AS count FROM "tag"');
+        expect(cursor.next().count).toBe(2);
+
+        yield this.connection.execute('DROP TABLE "tag"');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".lastInsertIds()", function() {
+
+    it("gets all the ids of a multi-row insert", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id',   { type: 'serial' });
+        schema.column('name', { type: 'string', null: true });
+        yield schema.create();
+
+        yield this.connection.query('INSERT INTO "gallery" ("name") VALUES ($1), ($2), ($3)', ['a', 'b', 'c']);
+        expect(this.connection.lastInsertIds()).toEqual([1, 2, 3]);
+        expect(this.connection.lastInsertId()).toBe(3);
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("returns the requested columns as a cursor", function(done) {
+
+      co(function*() {
+        var schema = new Schema({ connection: this.connection });
+        schema.source('gallery');
+        schema.column('id',   { type: 'serial' });
+        schema.column('name', { type: 'string', null: true });
+        schema.column('active', { type: 'boolean', default: true });
+        yield schema.create();
+
+        var cursor = yield this.connection.query('INSERT INTO "gallery" ("name") VALUES ($1), ($2)', ['a', 'b'], {
+          key: 'id',
+          returning: ['name']
+        });
+        expect(cursor.next()).toEqual({ id: 1, name: 'a' });
+        expect(cursor.next()).toEqual({ id: 2, name: 'b' });
+        expect(this.connection.lastInsertIds()).toEqual([1, 2]);
+
+        cursor = yield this.connection.query('INSERT INTO "gallery" ("name") VALUES ($1) RETURNING "id", "active"', ['c']);
+        expect(cursor.next()).toEqual({ id: 3, active: true });
+        expect(this.connection.lastInsertId()).toBe(3);
+
+        yield schema.drop();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("collects the ids inserted within a transaction scope", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: { max: 2 }
+        });
+        var schema = new Schema({ connection: connection });
+        schema.source('gallery');
+        schema.column('id',   { type: 'serial' });
+        schema.column('name', { type: 'string', null: true });
+        yield schema.create();
+
+        var ids = yield connection.transaction(function*(tx) {
+          yield tx.query('INSERT INTO "gallery" ("name") VALUES ($1), ($2)', ['a', 'b']);
+          return tx.lastInsertIds();
         });
+        expect(ids).toEqual([1, 2]);
 
-        yield this.schema.drop();
+        yield schema.drop();
+        connection.disconnect();
       }.bind(this)).then(function() {
         done();
       });
 
     });
 
-    it("creates a schema instance without introspection", function(done) {
+  });
+
+  describe(".affectedRows()", function() {
+
+    beforeEach(function(done) {
 
       co(function*() {
+        this.schema = new Schema({ connection: this.connection });
+        this.schema.source('gallery');
+        this.schema.column('id',   { type: 'serial' });
+        this.schema.column('name', { type: 'string', null: true });
+        yield this.schema.create();
+        yield this.connection.query('INSERT INTO "gallery" ("name") VALUES ($1), ($2), ($3)', ['a', 'b', 'c']);
+      }.bind(this)).then(function() {
+        done();
+      });
 
-        var gallery = yield this.connection.describe('gallery', this.schema.columns());
+    });
 
-        expect(gallery.column('id')).toEqual({
-          type: 'serial',
-          null: false,
-          array: false
-        });
+    afterEach(function(done) {
 
-        expect(gallery.column('name')).toEqual({
-          type: 'string',
-          length: 128,
-          null: false,
-          default: 'Johnny Boy',
-          array: false
-        });
+      this.schema.drop().then(function() {
+        done();
+      });
 
-        expect(gallery.column('active')).toEqual({
-          type: 'boolean',
-          null: false,
-          default: true,
-          array: false
+    });
+
+    it("gets the number of rows affected by write queries", function(done) {
+
+      co(function*() {
+        expect(this.connection.affectedRows()).toBe(3);
+
+        var result = yield this.connection.query('UPDATE "gallery" SET "name" = $1 WHERE "id" > $2', ['z', 1]);
+        expect(result).toBe(true);
+        expect(this.connection.affectedRows()).toBe(2);
+
+        yield this.connection.query('UPDATE "gallery" SET "name" = $1 WHERE "id" = $2', ['z', 10]);
+        expect(this.connection.affectedRows()).toBe(0);
+
+        yield this.connection.query('SELECT * FROM "gallery"');
+        expect(this.connection.affectedRows()).toBe(0);
+
+        result = yield this.connection.query("UPDATE \"gallery\" SET \"name\" = 'returning' WHERE \"id\" = $1", [1]);
+        expect(result).toBe(true);
+        expect(this.connection.affectedRows()).toBe(1);
+
+        yield this.connection.query('DELETE FROM "gallery"');
+        expect(this.connection.affectedRows()).toBe(3);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("returns the rows of `UPDATE` and `DELETE` queries with a `RETURNING` clause as a cursor", function(done) {
+
+      co(function*() {
+        var cursor = yield this.connection.query('UPDATE "gallery" SET "name" = $1 WHERE "id" < $2 RETURNING "id", "name"', ['z', 3]);
+        expect(cursor.next()).toEqual({ id: 1, name: 'z' });
+        expect(cursor.next()).toEqual({ id: 2, name: 'z' });
+        expect(cursor.valid()).toBe(false);
+        expect(this.connection.affectedRows()).toBe(2);
+
+        cursor = yield this.connection.query('DELETE FROM "gallery" WHERE "id" = $1 RETURNING "name"', [3]);
+        expect(cursor.next()).toEqual({ name: 'c' });
+        expect(this.connection.affectedRows()).toBe(1);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".upsert()", function() {
+
+    beforeEach(function(done) {
+
+      this.connection.execute([
+        'CREATE TABLE "counter" (',
+        '  "id" serial PRIMARY KEY,',
+        '  "name" varchar(255) NOT NULL CONSTRAINT "counter_name_key" UNIQUE,',
+        '  "count" integer NOT NULL DEFAULT 0,',
+        '  "label" varchar(255)',
+        ')'
+      ].join('\n')).then(function() {
+        done();
+      });
+
+    });
+
+    afterEach(function(done) {
+
+      this.connection.execute('DROP TABLE IF EXISTS "counter"').then(function() {
+        done();
+      });
+
+    });
+
+    it("inserts records and updates conflicting ones", function(done) {
+
+      co(function*() {
+        var ids = yield this.connection.upsert('counter', [
+          { name: 'a', count: 1 },
+          { name: 'b', count: 1 }
+        ], { conflict: ['name'] });
+        expect(ids).toEqual([1, 2]);
+
+        ids = yield this.connection.upsert('counter', [
+          { name: 'b', count: 5 },
+          { name: 'c', count: 1 }
+        ], { conflict: ['name'] });
+        expect(ids).toEqual([2, 4]);
+        expect(this.connection.lastInsertId()).toBe(4);
+
+        var cursor = yield this.connection.query('SELECT "id", "name", "count" FROM "counter" ORDER BY "id"');
+        expect(cursor.data()).toEqual([
+          { id: 1, name: 'a', count: 1 },
+          { id: 2, name: 'b', count: 5 },
+          { id: 4, name: 'c', count: 1 }
+        ]);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("targets a constraint by name", function(done) {
+
+      co(function*() {
+        yield this.connection.upsert('counter', { name: 'a', count: 1, label: 'first' }, {
+          constraint: 'counter_name_key',
+          update: ['count']
+        });
+        var ids = yield this.connection.upsert('counter', { name: 'a', count: 2, label: 'second' }, {
+          constraint: 'counter_name_key',
+          update: ['count']
         });
+        expect(ids).toEqual([1]);
 
-        expect(gallery.column('inactive')).toEqual({
-          type: 'boolean',
-          null: false,
-          default: false,
-          array: false
+        var cursor = yield this.connection.query('SELECT "count", "label" FROM "counter"');
+        expect(cursor.data()).toEqual([{ count: 2, label: 'first' }]);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("updates with custom values and conditions", function(done) {
+
+      co(function*() {
+        var options = {
+          conflict: 'name',
+          update: { count: { ':plain': '"counter"."count" + "excluded"."count"' } },
+          where: { 'counter.count': { '<': 5 } }
+        };
+        yield this.connection.upsert('counter', { name: 'a', count: 3 }, options);
+        var ids = yield this.connection.upsert('counter', { name: 'a', count: 3 }, options);
+        expect(ids).toEqual([1]);
+
+        ids = yield this.connection.upsert('counter', { name: 'a', count: 3 }, options);
+        expect(ids).toEqual([]);
+        expect(this.connection.lastInsertId()).toBe(undefined);
+
+        var cursor = yield this.connection.query('SELECT "count" FROM "counter"');
+        expect(cursor.data()).toEqual([{ count: 6 }]);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("ignores conflicting records", function(done) {
+
+      co(function*() {
+        yield this.connection.upsert('counter', { name: 'a', count: 1 }, { update: false });
+        var ids = yield this.connection.upsert('counter', [
+          { name: 'a', count: 2 },
+          { name: 'b', count: 2 }
+        ], { update: false });
+        expect(ids).toEqual([3]);
+
+        var cursor = yield this.connection.query('SELECT "name", "count" FROM "counter" ORDER BY "id"');
+        expect(cursor.data()).toEqual([
+          { name: 'a', count: 1 },
+          { name: 'b', count: 2 }
+        ]);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("rejects updates without conflict target", function(done) {
+
+      this.connection.upsert('counter', { name: 'a' }).then(function() {
+        done(new Error('Expected an error.'));
+      }, function(err) {
+        expect(err.message).toBe('Invalid `ON CONFLICT DO UPDATE` clause, missing conflict target.');
+        done();
+      });
+
+    });
+
+  });
+
+  describe("replicas", function() {
+
+    beforeEach(function() {
+      this.replicated = new PostgreSql({
+        database: 'chaos_test',
+        username: 'postgres',
+        primary: { options: { application_name: 'primary' } },
+        replicas: [
+          { options: { application_name: 'replica1' } },
+          { options: { application_name: 'replica2' } }
+        ]
+      });
+      this.application = "SELECT current_setting('application_name') AS name";
+    });
+
+    afterEach(function() {
+      this.replicated.disconnect();
+    });
+
+    it("load-balances read-only queries across replicas", function(done) {
+
+      co(function*() {
+        var names = [];
+        for (var i = 0; i < 4; i++) {
+          var cursor = yield this.replicated.query(this.application);
+          names.push(cursor.next().name);
+        }
+        expect(names).toEqual(['replica1', 'replica2', 'replica1', 'replica2']);
+        expect(this.replicated.replicas().length).toBe(2);
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("runs queries on the primary with `usePrimary`", function(done) {
+
+      co(function*() {
+        var cursor = yield this.replicated.query(this.application, [], { usePrimary: true });
+        expect(cursor.next().name).toBe('primary');
+
+        cursor = yield this.replicated.query(this.application + ' FOR UPDATE');
+        expect(cursor.next().name).toBe('primary');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("runs writes and transactions on the primary", function(done) {
+
+      co(function*() {
+        var replicated = this.replicated;
+        yield replicated.query('CREATE TABLE "visit" ("id" serial PRIMARY KEY, "name" text)');
+        yield replicated.query("INSERT INTO \"visit\" (\"name\") VALUES (current_setting('application_name'))");
+
+        var name = yield replicated.transaction(function*(tx) {
+          var cursor = yield tx.query(this.application);
+          return cursor.next().name;
+        }.bind(this));
+        expect(name).toBe('primary');
+
+        var cursor = yield replicated.query('SELECT "name" FROM "visit"');
+        expect(cursor.next()).toEqual({ name: 'primary' });
+
+        yield replicated.query('DROP TABLE "visit"');
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("runs queries calling functions with side effects on the primary", function(done) {
+
+      co(function*() {
+        var events = [];
+        this.replicated.on('query:start', function(event) {
+          events.push(!!event.replica);
         });
+        yield this.replicated.query("SELECT pg_notify('events', 'pg_notify(') AS notified");
+        yield this.replicated.query('SELECT pg_try_advisory_lock(1) AS locked');
+        yield this.replicated.query('SELECT pg_advisory_unlock(1) AS unlocked');
+        yield this.replicated.query("SELECT pg_catalog.set_config('search_path', 'public', false) AS path");
+        yield this.replicated.query('SELECT "pg_backend_pid"() AS pid');
+        yield this.replicated.query('SELECT 1 AS value INTO TEMPORARY "tmp"');
+        yield this.replicated.query("SELECT count(*)::numeric(10, 2) AS count, lower('nextval(') AS name FROM pg_class WHERE relkind IN ('r')");
+        expect(events).toEqual([false, false, false, false, false, false, true]);
+      }.bind(this)).then(function() {
+        done();
+      });
 
-        expect(gallery.column('money')).toEqual({
-          type: 'decimal',
-          length: 10,
-          precision: 2,
-          null: false,
-          array: false
+    });
+
+    it("reads the live table from the primary when diffing a schema", function(done) {
+
+      co(function*() {
+        var events = [];
+        this.replicated.on('query:start', function(event) {
+          events.push(!!event.replica);
         });
+        var schema = new Schema({ connection: this.replicated });
+        schema.source('gallery');
+        schema.column('id', { type: 'serial' });
+        yield this.replicated.diff(schema);
+        expect(events).toEqual([false]);
+      }.bind(this)).then(function() {
+        done();
+      });
 
-        expect(gallery.column('created')).toEqual({
-          use: 'timestamp',
-          type: 'datetime',
-          null: false,
-          array: false,
-          default: { ':plain': 'CURRENT_TIMESTAMP' }
+    });
+
+    it("runs introspection queries on replicas", function(done) {
+
+      co(function*() {
+        var events = [];
+        this.replicated.on('query:start', function(event) {
+          events.push(event.replica);
         });
+        yield this.replicated.sources();
+        yield this.replicated.fields('gallery');
+        expect(events).toEqual([true, true]);
       }.bind(this)).then(function() {
         done();
       });
@@ -430,40 +3546,100 @@ describe("PostgreSql", function() {
 
   });
 
-  describe(".lastInsertId()", function() {
+  describe(".ping()", function() {
 
-    it("gets the encoding last insert ID", function(done) {
+    it("checks the database is reachable", function(done) {
 
       co(function*() {
-        var schema = new Schema({ connection: this.connection });
-        schema.source('gallery');
-        schema.column('id',   { type: 'serial' });
-        schema.column('name', { type: 'string', null: true });
-        yield schema.create();
+        expect(yield this.connection.ping()).toBe(true);
+      }.bind(this)).then(function() {
+        done();
+      });
 
-        yield schema.insert({ name: 'new gallery' });
-        expect(schema.lastInsertId()).toBe('1');
+    });
 
-        yield schema.drop();
-      }.bind(this)).then(function() {
+    it("rejects when the database is unreachable", function(done) {
+
+      var connection = new PostgreSql({
+        host: 'hostlocal',
+        database: 'chaos_test',
+        username: 'root'
+      });
+      connection.ping().catch(function(err) {
+        expect(err).toBeAnInstanceOf(PostgreSql.ConnectionError);
         done();
       });
 
     });
 
-    it("gets the encoding last insert ID even with an empty record", function(done) {
+  });
+
+  describe("reconnection", function() {
+
+    var terminate = function(connection, pid) {
+      return new Promise(function(accept) {
+        connection.once('disconnect', accept);
+        this.connection.execute('SELECT pg_terminate_backend($1)', [pid]);
+      }.bind(this));
+    };
+
+    it("detects a dropped connection and reconnects on the next query", function(done) {
 
       co(function*() {
-        var schema = new Schema({ connection: this.connection });
-        schema.source('gallery');
-        schema.column('id',   { type: 'serial' });
-        schema.column('name', { type: 'string', null: true });
-        yield schema.create();
+        var connection = getConnection();
+        var reconnected = [];
+        connection.on('reconnect', function(event) {
+          reconnected.push(event.attempt);
+        });
+        var pid = (yield connection.query('SELECT pg_backend_pid() AS pid')).next().pid;
 
-        yield schema.insert({});
-        expect(schema.lastInsertId()).toBe('1');
+        var err = yield terminate.call(this, connection, pid);
+        expect(err).toBeAnInstanceOf(PostgreSql.ConnectionError);
+        expect(connection.connected()).toBe(false);
 
-        yield schema.drop();
+        var cursor = yield connection.query('SELECT pg_backend_pid() AS pid');
+        expect(cursor.next().pid).not.toBe(pid);
+        expect(connection.connected()).toBe(true);
+        expect(reconnected).toEqual([1]);
+        connection.disconnect();
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
+    it("waits between reconnection attempts", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          reconnect: {
+            attempts: 3,
+            backoff: function(attempt) {
+              return attempt * 10;
+            }
+          }
+        });
+        var failures = [];
+        connection.on('reconnect:error', function(event) {
+          failures.push(event.delay);
+        });
+        var pid = (yield connection.query('SELECT pg_backend_pid() AS pid')).next().pid;
+        yield terminate.call(this, connection, pid);
+
+        connection.config().host = 'hostlocal';
+        try {
+          yield connection.ping();
+          expect(false).toBe(true);
+        } catch (err) {
+          expect(err).toBeAnInstanceOf(PostgreSql.ConnectionError);
+        }
+        expect(failures).toEqual([10, 20]);
+
+        connection.config().host = 'localhost';
+        expect(yield connection.ping()).toBe(true);
+        connection.disconnect();
       }.bind(this)).then(function() {
         done();
       });
@@ -494,6 +3670,27 @@ describe("PostgreSql", function() {
 
     });
 
+    it("drains the pool.", function(done) {
+
+      co(function*() {
+        var connection = new PostgreSql({
+          database: 'chaos_test',
+          username: 'postgres',
+          pool: true
+        });
+        var pool = yield connection.connect();
+
+        expect(connection.disconnect()).toBe(true);
+        expect(connection.connected()).toBe(false);
+        expect(connection.pool()).toBe(undefined);
+        expect(pool.ending).toBe(true);
+
+      }.bind(this)).then(function() {
+        done();
+      });
+
+    });
+
   });
 
   describe(".convert()", function() {
@@ -0,0 +1,182 @@
+var Statement = require('sql-dialect').Statement;
+
+/**
+ * `ALTER TABLE` statement.
+ */
+class AlterTable extends Statement {
+  /**
+   * Constructor.
+   *
+   * @param Object config The config array.
+   */
+  constructor(config) {
+    super(config);
+
+    /**
+     * The SQL parts.
+     *
+     * @var Object
+     */
+    this._parts = {
+      table   : '',
+      actions : []
+    };
+  }
+
+  /**
+   * Sets the table name to alter.
+   *
+   * @param  String   table The table name.
+   * @return Function       Returns `this`.
+   */
+  table(table) {
+    this._parts.table = table;
+    return this;
+  }
+
+  /**
+   * Adds a column (i.e. `ADD COLUMN`).
+   *
+   * @param  String   name   The column name.
+   * @param  Object   column The column definition.
+   * @return Function        Returns `this`.
+   */
+  add(name, column) {
+    this._parts.actions.push({ action: 'add', name: name, column: column });
+    return this;
+  }
+
+  /**
+   * Drops a column (i.e. `DROP COLUMN`).
+   *
+   * @param  String   name The column name.
+   * @return Function      Returns `this`.
+   */
+  drop(name) {
+    this._parts.actions.push({ action: 'drop', name: name });
+    return this;
+  }
+
+  /**
+   * Changes the type of a column (i.e. `ALTER COLUMN ... TYPE`).
+   *
+   * Existing values are cast to the new type.
+   *
+   * @param  String   name   The column name.
+   * @param  Object   column The column definition (i.e. `'type'` or `'use'`, `'length'`, `'precision'`).
+   * @return Function        Returns `this`.
+   */
+  type(name, column) {
+    this._parts.actions.push({ action: 'type', name: name, column: column });
+    return this;
+  }
+
+  /**
+   * Sets or drops the `NOT NULL` constraint of a column.
+   *
+   * @param  String   name     The column name.
+   * @param  Boolean  nullable Whether the column accepts `NULL` values.
+   * @return Function          Returns `this`.
+   */
+  nullable(name, nullable) {
+    this._parts.actions.push({ action: 'nullable', name: name, nullable: nullable });
+    return this;
+  }
+
+  /**
+   * Sets or drops the default value of a column.
+   *
+   * @param  String   name  The column name.
+   * @param  mixed    value The default value, `null` to drop it.
+   * @return Function       Returns `this`.
+   */
+  default(name, value) {
+    this._parts.actions.push({ action: 'default', name: name, value: value });
+    return this;
+  }
+
+  /**
+   * Returns whether some actions have been set.
+   *
+   * @return Boolean
+   */
+  changed() {
+    return this._parts.actions.length > 0;
+  }
+
+  /**
+   * Render the SQL statement.
+   *
+   * @return String The generated SQL string.
+   */
+  toString() {
+    if (!this._parts.table) {
+      throw new Error("Invalid `ALTER TABLE` statement missing table name.");
+    }
+    if (!this._parts.actions.length) {
+      throw new Error("Invalid `ALTER TABLE` statement missing actions.");
+    }
+
+    return 'ALTER TABLE' +
+      this._buildChunk(this.dialect().name(this._parts.table)) +
+      this._buildChunk(this._parts.actions.map(this._buildAction, this).join(', '));
+  }
+
+  /**
+   * Helper for building an action.
+   *
+   * @param  Object action The action definition.
+   * @return String        The SQL action.
+   */
+  _buildAction(action) {
+    var dialect = this.dialect();
+    var name = dialect.name(action.name);
+
+    switch (action.action) {
+      case 'add':
+        return 'ADD COLUMN ' + dialect.column(Object.assign({ name: action.name }, action.column));
+      case 'drop':
+        return 'DROP COLUMN ' + name;
+      case 'type':
+        var field = dialect.field(Object.assign({ name: action.name }, action.column));
+        var use = field.type === 'float' && field.precision ? 'numeric' : field.use.toLowerCase();
+        var type = this._buildType(field.serial ? 'integer' : use, field.length, field.precision);
+        return 'ALTER COLUMN ' + name + ' TYPE ' + type + ' USING ' + name + '::' + type;
+      case 'nullable':
+        return 'ALTER COLUMN ' + name + (action.nullable ? ' DROP NOT NULL' : ' SET NOT NULL');
+      case 'default':
+        var value = action.value;
+        if (value == null) {
+          return 'ALTER COLUMN ' + name + ' DROP DEFAULT';
+        }
+        var operator = ':value';
+        if (value.constructor === Object) {
+          operator = Object.keys(value)[0];
+          value = value[operator];
+        }
+        return 'ALTER COLUMN ' + name + ' SET DEFAULT ' + dialect.format(operator, value, { field: { name: action.name } });
+    }
+    throw new Error("Invalid `ALTER TABLE` action `'" + action.action + "'`.");
+  }
+
+  /**
+   * Helper for building a column type (i.e. `'varchar(255)'` or `'numeric(10,2)'`).
+   *
+   * @param  String  use       The database type.
+   * @param  Integer length    The type length.
+   * @param  Integer precision The type precision.
+   * @return String            The SQL type.
+   */
+  _buildType(use, length, precision) {
+    var size = [];
+    if (length) {
+      size.push(length);
+    }
+    if (precision) {
+      size.push(precision);
+    }
+    return size.length ? use + '(' + size.join(',') + ')' : use;
+  }
+}
+
+module.exports = AlterTable;
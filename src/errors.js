@@ -0,0 +1,222 @@
+/**
+ * Error fields provided by the PostgreSQL server (see the `ErrorResponse` message).
+ *
+ * @var Array
+ */
+var FIELDS = [
+  'code',
+  'severity',
+  'detail',
+  'hint',
+  'position',
+  'where',
+  'schema',
+  'table',
+  'column',
+  'dataType',
+  'constraint',
+  'routine'
+];
+
+/**
+ * Base class of all the errors raised by the PostgreSQL adapter.
+ */
+class DatabaseError extends Error {
+  /**
+   * Constructor.
+   *
+   * @param String message The error message.
+   * @param Error  cause   The original driver error if any.
+   */
+  constructor(message, cause) {
+    super(message);
+    this.name = this.constructor.name;
+
+    /**
+     * The original driver error.
+     *
+     * @var Error
+     */
+    this.cause = cause;
+
+    for (var field of FIELDS) {
+      this[field] = cause ? cause[field] : undefined;
+    }
+  }
+
+  /**
+   * Converts a driver error into its adapter error class.
+   *
+   * @param  Error  err The driver error.
+   * @return Error      A `DatabaseError` instance.
+   */
+  static from(err) {
+    if (err instanceof DatabaseError) {
+      return err;
+    }
+    var code = typeof err.code === 'string' && err.code.length === 5 ? err.code : undefined;
+    var error = code && (CODES[code] || CODES[code.substr(0, 2)]);
+
+    if (error === QueryCanceledError && /timeout/i.test(err.message)) {
+      error = QueryTimeoutError;
+    } else if (!error && isConnectionError(err)) {
+      error = ConnectionError;
+    }
+    error = error || DatabaseError;
+    return new error(err.message, err);
+  }
+}
+
+/**
+ * Raised when the connection can't be established or has been lost (SQLSTATE class `08`).
+ */
+class ConnectionError extends DatabaseError {}
+
+/**
+ * Raised on invalid data, i.e. out of range values or invalid input syntax (SQLSTATE class `22`).
+ */
+class DataError extends DatabaseError {}
+
+/**
+ * Raised on integrity constraint violations (SQLSTATE class `23`).
+ */
+class IntegrityConstraintError extends DatabaseError {}
+
+/**
+ * Raised on `NOT NULL` constraint violations (SQLSTATE `23502`).
+ */
+class NotNullViolationError extends IntegrityConstraintError {}
+
+/**
+ * Raised on foreign key constraint violations (SQLSTATE `23503`).
+ */
+class ForeignKeyViolationError extends IntegrityConstraintError {}
+
+/**
+ * Raised on unique constraint violations (SQLSTATE `23505`).
+ */
+class UniqueViolationError extends IntegrityConstraintError {}
+
+/**
+ * Raised on check constraint violations (SQLSTATE `23514`).
+ */
+class CheckViolationError extends IntegrityConstraintError {}
+
+/**
+ * Raised on exclusion constraint violations (SQLSTATE `23P01`).
+ */
+class ExclusionViolationError extends IntegrityConstraintError {}
+
+/**
+ * Raised when a transaction has been rollbacked by the server (SQLSTATE class `40`).
+ */
+class TransactionRollbackError extends DatabaseError {}
+
+/**
+ * Raised on serialization failures (SQLSTATE `40001`).
+ */
+class SerializationError extends TransactionRollbackError {}
+
+/**
+ * Raised when the transaction has been chosen as a deadlock victim (SQLSTATE `40P01`).
+ */
+class DeadlockError extends TransactionRollbackError {}
+
+/**
+ * Raised on syntax errors or access rule violations (SQLSTATE class `42`).
+ */
+class QuerySyntaxError extends DatabaseError {}
+
+/**
+ * Raised when a table doesn't exist (SQLSTATE `42P01`).
+ */
+class UndefinedTableError extends QuerySyntaxError {}
+
+/**
+ * Raised when a column doesn't exist (SQLSTATE `42703`).
+ */
+class UndefinedColumnError extends QuerySyntaxError {}
+
+/**
+ * Raised when privileges are insufficient (SQLSTATE `42501`).
+ */
+class InsufficientPrivilegeError extends QuerySyntaxError {}
+
+/**
+ * Raised when a lock can't be acquired without waiting (SQLSTATE `55P03`).
+ */
+class LockNotAvailableError extends DatabaseError {}
+
+/**
+ * Raised when a statement has been canceled (SQLSTATE `57014`).
+ */
+class QueryCanceledError extends DatabaseError {}
+
+/**
+ * Raised when a statement has been canceled because of a timeout.
+ */
+class QueryTimeoutError extends QueryCanceledError {}
+
+/**
+ * Error classes indexed by SQLSTATE code or SQLSTATE class.
+ *
+ * @var Object
+ */
+var CODES = {
+  '08'   : ConnectionError,
+  '22'   : DataError,
+  '23'   : IntegrityConstraintError,
+  '23502': NotNullViolationError,
+  '23503': ForeignKeyViolationError,
+  '23505': UniqueViolationError,
+  '23514': CheckViolationError,
+  '23P01': ExclusionViolationError,
+  '28'   : ConnectionError,
+  '40'   : TransactionRollbackError,
+  '40001': SerializationError,
+  '40P01': DeadlockError,
+  '42'   : QuerySyntaxError,
+  '42501': InsufficientPrivilegeError,
+  '42703': UndefinedColumnError,
+  '42P01': UndefinedTableError,
+  '55P03': LockNotAvailableError,
+  '57014': QueryCanceledError,
+  '57P01': ConnectionError,
+  '57P02': ConnectionError,
+  '57P03': ConnectionError
+};
+
+/**
+ * Checks whether a driver error without SQLSTATE is a network level failure.
+ *
+ * @param  Error   err The driver error.
+ * @return Boolean
+ */
+function isConnectionError(err) {
+  if (typeof err.code === 'string' && /^E[A-Z]+$/.test(err.code)) {
+    return true;
+  }
+  return /Connection terminated|connection error|not queryable/i.test(err.message);
+}
+
+module.exports = {
+  DatabaseError: DatabaseError,
+  ConnectionError: ConnectionError,
+  DataError: DataError,
+  IntegrityConstraintError: IntegrityConstraintError,
+  NotNullViolationError: NotNullViolationError,
+  ForeignKeyViolationError: ForeignKeyViolationError,
+  UniqueViolationError: UniqueViolationError,
+  CheckViolationError: CheckViolationError,
+  ExclusionViolationError: ExclusionViolationError,
+  TransactionRollbackError: TransactionRollbackError,
+  SerializationError: SerializationError,
+  DeadlockError: DeadlockError,
+  QuerySyntaxError: QuerySyntaxError,
+  UndefinedTableError: UndefinedTableError,
+  UndefinedColumnError: UndefinedColumnError,
+  InsufficientPrivilegeError: InsufficientPrivilegeError,
+  LockNotAvailableError: LockNotAvailableError,
+  QueryCanceledError: QueryCanceledError,
+  QueryTimeoutError: QueryTimeoutError
+};
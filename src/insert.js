@@ -0,0 +1,149 @@
+var BaseInsert = require('sql-dialect').PostgreSql.classes().insert;
+
+/**
+ * `INSERT` statement supporting the PostgreSQL `ON CONFLICT` clause.
+ */
+class Insert extends BaseInsert {
+  /**
+   * Constructor.
+   *
+   * @param Object config The config array.
+   */
+  constructor(config) {
+    super(config);
+
+    /**
+     * The `ON CONFLICT` clause parts.
+     *
+     * @var Object
+     */
+    this._parts.conflict = {
+      columns: [],
+      constraint: undefined,
+      action: undefined,
+      values: {},
+      where: []
+    };
+  }
+
+  /**
+   * Sets the conflict target columns of the `ON CONFLICT` clause.
+   *
+   * @param  Array|String columns The column names of a unique index.
+   * @return Function             Returns `this`.
+   */
+  onConflict(columns) {
+    this._parts.conflict.columns = Array.isArray(columns) ? columns : [columns];
+    return this;
+  }
+
+  /**
+   * Sets the conflict target constraint of the `ON CONFLICT` clause.
+   *
+   * @param  String   name The constraint name.
+   * @return Function      Returns `this`.
+   */
+  onConstraint(name) {
+    this._parts.conflict.constraint = name;
+    return this;
+  }
+
+  /**
+   * Ignores conflicting rows (i.e. `DO NOTHING`).
+   *
+   * @return Function Returns `this`.
+   */
+  doNothing() {
+    this._parts.conflict.action = 'NOTHING';
+    return this;
+  }
+
+  /**
+   * Updates conflicting rows (i.e. `DO UPDATE SET`).
+   *
+   * @param  Array|Object values     The column names to set from the `EXCLUDED` row or an object of values.
+   * @param  mixed        conditions The conditions of the optional `WHERE` clause.
+   * @return Function                Returns `this`.
+   */
+  doUpdate(values, conditions) {
+    if (Array.isArray(values)) {
+      values = values.reduce(function(result, name) {
+        result[name] = { ':name': 'excluded.' + name };
+        return result;
+      }, {});
+    }
+    this._parts.conflict.action = 'UPDATE';
+    this._parts.conflict.values = values;
+    if (conditions) {
+      this._parts.conflict.where.push(conditions);
+    }
+    return this;
+  }
+
+  /**
+   * Render the SQL statement
+   *
+   * @return String The generated SQL string.
+   */
+  toString() {
+    if (!this._parts.into) {
+      throw new Error("Invalid `INSERT` statement, missing `INTO` clause.");
+    }
+
+    var fields = this._parts.values.length ? Object.keys(this._parts.values[0]) : [];
+    var dialect = this.dialect();
+
+    return [
+      this._buildCTE(),
+      'INSERT',
+      this._buildFlags(this._parts.flags),
+      this._buildClause('INTO', dialect.name(this._parts.into, true)),
+      this._buildChunk('(' + dialect.names(fields, true) + ')', false),
+      this._buildValues(),
+      this._buildConflict(),
+      this._buildClause('RETURNING', dialect.names(this._parts.returning, false, ''))
+    ].join('');
+  }
+
+  /**
+   * Builds the `ON CONFLICT` clause.
+   *
+   * @return String Returns the `ON CONFLICT` clause.
+   */
+  _buildConflict() {
+    var conflict = this._parts.conflict;
+    var dialect = this.dialect();
+
+    if (!conflict.action) {
+      return '';
+    }
+    var target = '';
+    if (conflict.constraint) {
+      target = ' ON CONSTRAINT ' + dialect.name(conflict.constraint);
+    } else if (conflict.columns.length) {
+      target = ' (' + dialect.names(conflict.columns) + ')';
+    }
+    if (conflict.action === 'NOTHING') {
+      return ' ON CONFLICT' + target + ' DO NOTHING';
+    }
+    if (!target) {
+      throw new Error("Invalid `ON CONFLICT DO UPDATE` clause, missing conflict target.");
+    }
+    var values = [];
+    for (var key in conflict.values) {
+      var states = { name: key };
+      if (this._schema) {
+        states.schema = this._schema;
+      }
+      values.push(dialect.name(key) + ' = ' + dialect.value(conflict.values[key], states));
+    }
+    if (!values.length) {
+      throw new Error("Invalid `ON CONFLICT DO UPDATE` clause, missing values.");
+    }
+    return ' ON CONFLICT' + target + ' DO UPDATE SET ' + values.join(', ') + this._buildClause('WHERE', dialect.conditions(conflict.where, {
+      schemas: { '': this._schema }
+    }));
+  }
+}
+
+module.exports = Insert;
@@ -0,0 +1,434 @@
+var co = require('co');
+var extend = require('extend-merge').extend;
+
+/**
+ * Job queue stored in a PostgreSQL table.
+ *
+ * Jobs are claimed using `SELECT ... FOR UPDATE SKIP LOCKED` so that concurrent workers never claim the same
+ * job. A claimed job is leased to its worker which must `ack()` or `fail()` it, failed jobs are retried with
+ * a backoff delay until their maximum number of attempts is reached and are then dead-lettered.
+ */
+class Queue {
+  /**
+   * Constructor.
+   *
+   * @param Object config Possible values are:
+   *                      - `'connection'` _Object_  : The `PostgreSql` connection.
+   *                      - `'name'`       _String_  : The queue name. Defaults to `'default'`.
+   *                      - `'table'`      _String_  : The jobs table name. Defaults to `'chaos_jobs'`.
+   *                      - `'attempts'`   _Integer_ : The default maximum number of attempts of a job.
+   *                                                   Defaults to `5`.
+   *                      - `'backoff'`    _Function_: A function returning the delay in ms to wait before
+   *                                                   retrying a job given its number of attempts.
+   *                      - `'lease'`      _Integer_ : The delay in ms after which a job claimed but neither
+   *                                                   acked nor failed can be claimed again (i.e. when its
+   *                                                   worker crashed). Defaults to 5 minutes.
+   *                      - `'notify'`     _Boolean_ : Whether to send a notification on the table name channel
+   *                                                   with the queue name as payload when a job is enqueued.
+   *                                                   Defaults to `false`.
+   */
+  constructor(config) {
+    var defaults = {
+      connection: undefined,
+      name: 'default',
+      table: 'chaos_jobs',
+      attempts: 5,
+      backoff: function(attempt) {
+        return Math.min(3600000, 1000 * Math.pow(2, attempt));
+      },
+      lease: 300000,
+      notify: false
+    };
+    config = extend({}, defaults, config);
+
+    if (!config.connection) {
+      throw new Error("Missing connection for this queue.");
+    }
+
+    /**
+     * The connection.
+     *
+     * @var Object
+     */
+    this._connection = config.connection;
+
+    /**
+     * The queue name.
+     *
+     * @var String
+     */
+    this._name = config.name;
+
+    /**
+     * The jobs table name.
+     *
+     * @var String
+     */
+    this._table = config.table;
+
+    /**
+     * The default maximum number of attempts.
+     *
+     * @var Integer
+     */
+    this._attempts = config.attempts;
+
+    /**
+     * The retry backoff function.
+     *
+     * @var Function
+     */
+    this._backoff = config.backoff;
+
+    /**
+     * The lease duration in ms.
+     *
+     * @var Integer
+     */
+    this._lease = config.lease;
+
+    /**
+     * Whether enqueued jobs are notified.
+     *
+     * @var Boolean
+     */
+    this._notify = config.notify;
+
+    /**
+     * The notification handlers (see `listen()`).
+     *
+     * @var Array
+     */
+    this._handlers = [];
+
+    /**
+     * The notification listener subscribed on the connection.
+     *
+     * @var Function
+     */
+    this._listener = undefined;
+  }
+
+  /**
+   * Returns the connection.
+   *
+   * @return Object
+   */
+  connection() {
+    return this._connection;
+  }
+
+  /**
+   * Returns the queue name.
+   *
+   * @return String
+   */
+  name() {
+    return this._name;
+  }
+
+  /**
+   * Creates the jobs table and its index if they don't exist.
+   *
+   * @return Promise
+   */
+  create() {
+    var table = this._connection.dialect().name(this._table);
+    var index = this._connection.dialect().name(this._table + '_claim_idx');
+    var sql = [
+      'CREATE TABLE IF NOT EXISTS ' + table + ' (',
+      '  "id" bigserial PRIMARY KEY,',
+      '  "queue" text NOT NULL,',
+      '  "payload" jsonb NOT NULL,',
+      "  \"status\" text NOT NULL DEFAULT 'pending',",
+      '  "attempts" integer NOT NULL DEFAULT 0,',
+      '  "max_attempts" integer NOT NULL,',
+      '  "run_at" timestamptz NOT NULL DEFAULT now(),',
+      '  "locked_at" timestamptz,',
+      '  "last_error" text,',
+      '  "created_at" timestamptz NOT NULL DEFAULT now()',
+      ')'
+    ].join('\n');
+
+    return co(function*() {
+      yield this._connection.execute(sql);
+      yield this._connection.execute('CREATE INDEX IF NOT EXISTS ' + index + ' ON ' + table + ' ("queue", "status", "run_at")');
+      return true;
+    }.bind(this));
+  }
+
+  /**
+   * Drops the jobs table.
+   *
+   * @return Promise
+   */
+  drop() {
+    return this._connection.dropSource(this._table);
+  }
+
+  /**
+   * Adds a job to the queue.
+   *
+   * @param  mixed   payload The job payload, stored as JSON.
+   * @param  Object  options Possible values are:
+   *                         - `'delay'`    _Integer_: The delay in ms before the job can be claimed.
+   *                         - `'runAt'`    _Date_   : The date after which the job can be claimed.
+   *                         - `'attempts'` _Integer_: The maximum number of attempts of the job.
+   * @return Promise         Resolves with the job id.
+   */
+  enqueue(payload, options) {
+    var defaults = {
+      delay: 0,
+      runAt: undefined,
+      attempts: this._attempts
+    };
+    options = extend({}, defaults, options);
+
+    var runAt = options.runAt ? '$4::timestamptz' : 'now() + $4 * interval \'1 millisecond\'';
+    var sql = [
+      'INSERT INTO ' + this._connection.dialect().name(this._table),
+      '("queue", "payload", "max_attempts", "run_at") VALUES ($1, $2::jsonb, $3, ' + runAt + ')',
+      'RETURNING "id"'
+    ].join(' ');
+    var params = [this._name, JSON.stringify(payload), options.attempts, options.runAt || options.delay];
+
+    return co(function*() {
+      var cursor = yield this._connection.query(sql, params);
+      var id = cursor.next().id;
+      if (this._notify) {
+        yield this._connection.notify(this._table, this._name);
+      }
+      return id;
+    }.bind(this));
+  }
+
+  /**
+   * Claims some jobs ready to run, including jobs whose lease expired.
+   *
+   * @param  Integer limit The maximum number of jobs to claim. Defaults to `1`.
+   * @return Promise       Resolves with the claimed jobs.
+   */
+  claim(limit) {
+    var table = this._connection.dialect().name(this._table);
+    var sql = [
+      'UPDATE ' + table + ' SET "status" = \'running\', "attempts" = "attempts" + 1, "locked_at" = now()',
+      'WHERE "id" IN (',
+      '  SELECT "id" FROM ' + table,
+      '  WHERE "queue" = $1 AND (',
+      '    ("status" = \'pending\' AND "run_at" <= now()) OR',
+      '    ("status" = \'running\' AND "locked_at" <= now() - $3 * interval \'1 millisecond\')',
+      '  )',
+      '  ORDER BY "run_at", "id"',
+      '  LIMIT $2',
+      '  FOR UPDATE SKIP LOCKED',
+      ')',
+      'RETURNING *'
+    ].join('\n');
+
+    return co(function*() {
+      var cursor = yield this._connection.query(sql, [this._name, limit || 1, this._lease]);
+      var jobs = [];
+      for (var row of cursor) {
+        jobs.push(this._job(row));
+      }
+      return jobs.sort(function(a, b) {
+        return a.runAt - b.runAt || a.id - b.id;
+      });
+    }.bind(this));
+  }
+
+  /**
+   * Acknowledges a job, removing it from the queue.
+   *
+   * @param  Object  job        The claimed job.
+   * @param  Object  connection A transaction scope to acknowledge the job within. Defaults to the
+   *                            queue connection.
+   * @return Promise            Resolves `true` if the job has been acknowledged, `false` if its lease
+   *                            expired and it has been claimed again by another worker.
+   */
+  ack(job, connection) {
+    connection = connection || this._connection;
+    var sql = 'DELETE FROM ' + connection.dialect().name(this._table) + ' WHERE "id" = $1 AND "attempts" = $2 AND "status" = \'running\' RETURNING "id"';
+
+    return connection.query(sql, [job.id, job.attempts]).then(function(cursor) {
+      return cursor.valid();
+    });
+  }
+
+  /**
+   * Fails a job, which is retried after a backoff delay or dead-lettered when its maximum number of
+   * attempts is reached.
+   *
+   * @param  Object  job   The claimed job.
+   * @param  mixed   error The failure reason.
+   * @return Promise       Resolves `true` if the job will be retried, `false` if it has been dead-lettered.
+   */
+  fail(job, error) {
+    var dead = job.attempts >= job.maxAttempts;
+    var message = error instanceof Error ? error.message : String(error);
+    var sql = [
+      'UPDATE ' + this._connection.dialect().name(this._table),
+      'SET "status" = $3, "locked_at" = NULL, "last_error" = $4, "run_at" = now() + $5 * interval \'1 millisecond\'',
+      'WHERE "id" = $1 AND "attempts" = $2 AND "status" = \'running\''
+    ].join(' ');
+    var params = [job.id, job.attempts, dead ? 'dead' : 'pending', message, dead ? 0 : this._backoff(job.attempts)];
+
+    return this._connection.query(sql, params).then(function() {
+      return !dead;
+    });
+  }
+
+  /**
+   * Claims some jobs and processes them.
+   *
+   * Each job is processed within a transaction, the job is acknowledged within the same transaction so that
+   * the handler writes are committed along with the acknowledgement. When the handler fails, the transaction
+   * is rollbacked and the job is failed. The transaction is also rollbacked when the job lease expired while
+   * processing it, since the job can then be processed again by another worker. The transaction runs on a
+   * dedicated client (see `PostgreSql.transaction()`) so other writes of the application are not tied to it.
+   *
+   * @param  Function handler The job handler, receives the job and the transaction scope.
+   * @param  Object   options Possible values are:
+   *                          - `'limit'` _Integer_: The maximum number of jobs to process. Defaults to `1`.
+   * @return Promise          Resolves with the number of processed jobs, succeeded or failed.
+   */
+  work(handler, options) {
+    var defaults = {
+      limit: 1
+    };
+    options = extend({}, defaults, options);
+
+    return co(function*() {
+      var jobs = yield this.claim(options.limit);
+      for (var job of jobs) {
+        try {
+          yield this._connection.transaction(function*(tx) {
+            yield co.call(tx, handler, job, tx);
+            if (!(yield this.ack(job, tx))) {
+              throw new Error("The lease of job `" + job.id + "` expired, the job has been claimed again.");
+            }
+          }.bind(this));
+        } catch (err) {
+          yield this.fail(job, err);
+        }
+      }
+      return jobs.length;
+    }.bind(this));
+  }
+
+  /**
+   * Returns the dead-lettered jobs.
+   *
+   * @return Promise Resolves with the dead-lettered jobs.
+   */
+  dead() {
+    var sql = 'SELECT * FROM ' + this._connection.dialect().name(this._table) + ' WHERE "queue" = $1 AND "status" = \'dead\' ORDER BY "id"';
+
+    return co(function*() {
+      var cursor = yield this._connection.query(sql, [this._name], { usePrimary: true });
+      var jobs = [];
+      for (var row of cursor) {
+        jobs.push(this._job(row));
+      }
+      return jobs;
+    }.bind(this));
+  }
+
+  /**
+   * Puts a dead-lettered job back in the queue, resetting its attempts.
+   *
+   * @param  mixed   id The job id.
+   * @return Promise    Resolves `true` if the job has been requeued.
+   */
+  retry(id) {
+    var sql = [
+      'UPDATE ' + this._connection.dialect().name(this._table),
+      'SET "status" = \'pending\', "attempts" = 0, "run_at" = now()',
+      'WHERE "id" = $1 AND "queue" = $2 AND "status" = \'dead\'',
+      'RETURNING "id"'
+    ].join(' ');
+
+    return this._connection.query(sql, [id, this._name]).then(function(cursor) {
+      return cursor.valid();
+    });
+  }
+
+  /**
+   * Counts the jobs of the queue.
+   *
+   * @param  String  status The jobs status (i.e. `'pending'`, `'running'` or `'dead'`), all jobs if none.
+   * @return Promise        Resolves with the number of jobs.
+   */
+  count(status) {
+    var sql = 'SELECT count(*)::int AS "count" FROM ' + this._connection.dialect().name(this._table) + ' WHERE "queue" = $1';
+    var params = [this._name];
+    if (status) {
+      sql += ' AND "status" = $2';
+      params.push(status);
+    }
+    return this._connection.query(sql, params, { usePrimary: true }).then(function(cursor) {
+      return cursor.next().count;
+    });
+  }
+
+  /**
+   * Listens for enqueued jobs (requires the `'notify'` option).
+   *
+   * @param  Function handler The handler called each time a job is enqueued.
+   * @return Promise
+   */
+  listen(handler) {
+    this._handlers = this._handlers.concat(handler);
+    if (this._listener) {
+      return Promise.resolve();
+    }
+    this._listener = function(name) {
+      if (name !== this._name) {
+        return;
+      }
+      this._handlers.forEach(function(handler) {
+        handler();
+      });
+    }.bind(this);
+    return this._connection.listen(this._table, this._listener);
+  }
+
+  /**
+   * Stops listening for enqueued jobs.
+   *
+   * @param  Function handler The handler to remove, all of them if none.
+   * @return Promise
+   */
+  unlisten(handler) {
+    this._handlers = handler ? this._handlers.filter(function(value) {
+      return value !== handler;
+    }) : [];
+    if (this._handlers.length || !this._listener) {
+      return Promise.resolve();
+    }
+    var listener = this._listener;
+    this._listener = undefined;
+    return this._connection.unlisten(this._table, listener);
+  }
+
+  /**
+   * Builds a job from a row.
+   *
+   * @param  Object row The job row.
+   * @return Object
+   */
+  _job(row) {
+    return {
+      id: row.id,
+      queue: row.queue,
+      payload: row.payload,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAt: row.run_at,
+      createdAt: row.created_at,
+      lastError: row.last_error
+    };
+  }
+}
+
+module.exports = Queue;
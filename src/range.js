@@ -0,0 +1,129 @@
+/**
+ * PostgreSQL range value (i.e. `int4range`, `tstzrange`, etc.).
+ */
+class Range {
+  /**
+   * Constructor.
+   *
+   * @param mixed  lower  The lower bound or `null` for an unbounded range.
+   * @param mixed  upper  The upper bound or `null` for an unbounded range.
+   * @param String bounds The bounds inclusivity (i.e. `'[)'`, `'[]'`, `'()'` or `'(]'`).
+   *                      Defaults to `'[)'`.
+   */
+  constructor(lower, upper, bounds) {
+    bounds = bounds || '[)';
+    if (!/^[\[(][\])]$/.test(bounds)) {
+      throw new Error("Invalid range bounds `'" + bounds + "'`.");
+    }
+
+    /**
+     * The lower bound.
+     *
+     * @var mixed
+     */
+    this.lower = lower != null ? lower : null;
+
+    /**
+     * The upper bound.
+     *
+     * @var mixed
+     */
+    this.upper = upper != null ? upper : null;
+
+    /**
+     * The bounds inclusivity.
+     *
+     * @var String
+     */
+    this.bounds = bounds;
+
+    /**
+     * Whether the range is empty or not.
+     *
+     * @var Boolean
+     */
+    this.empty = false;
+  }
+
+  /**
+   * Returns the range literal (i.e. `'[1,10)'`).
+   *
+   * @return String
+   */
+  toString() {
+    if (this.empty) {
+      return 'empty';
+    }
+    var bound = function(value) {
+      if (value === null) {
+        return '';
+      }
+      value = value instanceof Date ? value.toISOString() : String(value);
+      return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+    };
+    return this.bounds[0] + bound(this.lower) + ',' + bound(this.upper) + this.bounds[1];
+  }
+
+  /**
+   * Returns an empty range.
+   *
+   * @return Range
+   */
+  static empty() {
+    var range = new Range();
+    range.empty = true;
+    return range;
+  }
+
+  /**
+   * Parses a range literal.
+   *
+   * @param  String   literal The range literal.
+   * @param  Function parser  The parser of bound values. Defaults to the identity.
+   * @return Range
+   */
+  static parse(literal, parser) {
+    parser = parser || function(value) { return value; };
+    if (literal === 'empty') {
+      return Range.empty();
+    }
+    var bounds = [literal[0], literal[literal.length - 1]];
+    var values = [], value = '', quoted = false, escaped = false, raw = true;
+
+    for (var i = 1; i < literal.length - 1; i++) {
+      var c = literal[i];
+      if (escaped) {
+        value += c;
+        escaped = false;
+      } else if (c === '\\') {
+        escaped = true;
+      } else if (c === '"') {
+        if (quoted && literal[i + 1] === '"') {
+          value += c;
+          i++;
+        } else {
+          quoted = !quoted;
+        }
+        raw = false;
+      } else if (c === ',' && !quoted) {
+        values.push(raw && value === '' ? null : value);
+        value = '';
+        raw = true;
+      } else {
+        value += c;
+      }
+    }
+    values.push(raw && value === '' ? null : value);
+
+    if (values.length !== 2 || !/^[\[(][\])]$/.test(bounds.join(''))) {
+      throw new Error("Invalid range literal `'" + literal + "'`.");
+    }
+    return new Range(
+      values[0] !== null ? parser(values[0]) : null,
+      values[1] !== null ? parser(values[1]) : null,
+      bounds.join('')
+    );
+  }
+}
+
+module.exports = Range;